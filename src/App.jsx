@@ -4,7 +4,8 @@ import TablesPanel from './components/TablesPanel'
 import QueryEditor from './components/QueryEditor'
 import ResultsPanel from './components/ResultsPanel'
 import GuideDrawer from './components/GuideDrawer'
-import { executeQuery } from './engine/executor'
+import { executeScript } from './engine/executor'
+import { createTransactionState } from './engine/transactions'
 import { schema } from './data/schema'
 import { sampleData } from './data/sampleData'
 
@@ -19,6 +20,9 @@ function App() {
   const [query, setQuery] = useState(DEFAULT_QUERY);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
+  const [statements, setStatements] = useState(null);
+  // Open transaction (if any) and its snapshots, kept between runs until COMMIT or ROLLBACK
+  const [transaction, setTransaction] = useState(createTransactionState);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [isGuideOpen, setIsGuideOpen] = useState(false);
   
@@ -34,28 +38,47 @@ function App() {
   });
 
   const handleRun = () => {
+    setResult(null);
+    setError(null);
+    setStatements(null);
+
+    let scriptResults;
     try {
-      setError(null);
-      const queryResult = executeQuery({
+      // Several statements separated by semicolons run one after another
+      scriptResults = executeScript({
         queryText: query,
         tables: currentData,
         schema: currentSchema,
+        transaction,
       });
-      setResult(queryResult);
-      
-      // If the query modified data, update state
-      if (queryResult.meta && queryResult.meta.modified) {
-        // Force re-render by creating new references
-        setCurrentSchema({ ...currentSchema });
-        setCurrentData({ ...currentData });
-      }
     } catch (err) {
-      setError({
-        code: err.code || 'ERROR',
-        message: err.message,
-        position: err.position,
-      });
-      setResult(null);
+      setError(describeError(err));
+      return;
+    }
+
+    // The engine updates the transaction state in place; copy it so the tables panel re-renders
+    setTransaction({ ...transaction });
+
+    if (scriptResults.length === 1) {
+      // A single statement shows its result or error on its own
+      const [only] = scriptResults;
+      if (only.error) {
+        setError(describeError(only.error));
+      } else {
+        setResult(only.result);
+      }
+    } else {
+      setStatements(scriptResults.map(entry => ({
+        ...entry,
+        error: entry.error ? describeError(entry.error) : null,
+      })));
+    }
+
+    // If any statement modified data, update state
+    if (scriptResults.some(entry => entry.result?.meta?.modified)) {
+      // Force re-render by creating new references
+      setCurrentSchema({ ...currentSchema });
+      setCurrentData({ ...currentData });
     }
   };
 
@@ -63,6 +86,8 @@ function App() {
     setQuery(DEFAULT_QUERY);
     setResult(null);
     setError(null);
+    setStatements(null);
+    setTransaction(createTransactionState());
     
     // Reset schema and data to original state
     setCurrentSchema({ ...schema });
@@ -86,7 +111,7 @@ function App() {
       
       <div className="app-layout">
         <aside className="sidebar">
-          <TablesPanel tables={currentData} schema={currentSchema} />
+          <TablesPanel tables={currentData} schema={currentSchema} transaction={transaction} />
         </aside>
         
         <main className="main-content">
@@ -100,7 +125,7 @@ function App() {
           </div>
           
           <div className="results-section">
-            <ResultsPanel result={result} error={error} query={query} />
+            <ResultsPanel result={result} error={error} statements={statements} query={query} />
           </div>
         </main>
       </div>
@@ -150,4 +175,15 @@ function App() {
   )
 }
 
+/**
+ * The parts of an engine error the results panel shows
+ */
+function describeError(err) {
+  return {
+    code: err.code || 'ERROR',
+    message: err.message,
+    position: err.position,
+  };
+}
+
 export default App
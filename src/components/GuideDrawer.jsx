@@ -55,6 +55,32 @@ function GuideDrawer({ isOpen, onClose }) {
               <li><code>paper</code> - Paper number (1, 2, or 3)</li>
               <li><code>score</code> - Score out of 100</li>
             </ul>
+
+            <h4>🗓️ attendance</h4>
+            <p>One row per student for each of three tutorial sessions:</p>
+            <ul>
+              <li><code>student_id</code> - Links to students table</li>
+              <li><code>session_date</code> - Date of the session (DATE)</li>
+              <li><code>present</code> - TRUE or FALSE</li>
+            </ul>
+
+            <h4>📝 submissions</h4>
+            <p>Coursework hand-ins with columns:</p>
+            <ul>
+              <li><code>submission_id</code> - Unique submission number</li>
+              <li><code>student_id</code> - Links to students table</li>
+              <li><code>module</code> - Module name</li>
+              <li><code>due_date</code> - Deadline (DATE)</li>
+              <li><code>submitted_at</code> - When it was handed in (DATETIME), NULL if never</li>
+            </ul>
+
+            <h4>🧩 modules</h4>
+            <p>The 7 modules and which one must be passed first:</p>
+            <ul>
+              <li><code>module</code> - Module name (matches <code>grades.module</code>)</li>
+              <li><code>prerequisite</code> - The module to pass first, NULL for starting modules</li>
+              <li><code>level</code> - 1 for starting modules, then one more for each step</li>
+            </ul>
           </section>
 
           <section>
@@ -85,14 +111,44 @@ function GuideDrawer({ isOpen, onClose }) {
             <h3>Query Structure</h3>
             <pre className="code-block">{`SELECT [DISTINCT] column1, column2   -- What columns to show
 FROM table_name              -- Which table to query
-INNER JOIN other_table       -- Join another table (optional)
+[LEFT|RIGHT|FULL] JOIN other_table -- Join another table (optional)
   ON table1.id = table2.id   -- How to join them
 WHERE column >= value        -- Filter rows (optional)
   AND column LIKE 'pattern%' -- Pattern matching
-  AND other_column = 123     -- More filters
+  OR (a = 1 AND NOT b = 2)   -- Combine with OR, NOT, brackets
 GROUP BY column              -- Group results (optional)
-ORDER BY column ASC          -- Sort results (optional)
-LIMIT 10                     -- Limit rows (optional)`}</pre>
+HAVING COUNT(*) > 1          -- Filter groups (optional)
+ORDER BY col1 ASC, col2 DESC -- Sort results (optional)
+LIMIT 10 OFFSET 20           -- Limit rows, skipping some (optional)`}</pre>
+          </section>
+
+          <section>
+            <h3>🆕 Outer Joins (LEFT, RIGHT, FULL)</h3>
+            <p>An INNER JOIN only keeps rows that match in both tables. Outer joins also keep the rows that <em>don't</em> match, filling the missing side with <code>NULL</code>.</p>
+            <ul>
+              <li><code>LEFT JOIN</code> - every row from the first table, matched or not</li>
+              <li><code>RIGHT JOIN</code> - every row from the joined table, matched or not</li>
+              <li><code>FULL OUTER JOIN</code> - every row from both tables</li>
+            </ul>
+
+            <div className="example">
+              <p><strong>Students with their grades, including students with no grades:</strong></p>
+              <pre className="code-block">{`SELECT students.forename, grades.module, grades.score
+FROM students
+LEFT JOIN grades ON students.student_id = grades.student_id`}</pre>
+            </div>
+
+            <div className="example">
+              <p><strong>Chain several joins - students → grades → tutor_groups:</strong></p>
+              <pre className="code-block">{`SELECT students.forename, grades.module, tutor_groups.tutor_name
+FROM students
+INNER JOIN grades ON students.student_id = grades.student_id
+INNER JOIN tutor_groups ON students.tutor_group_id = tutor_groups.tutor_group_id`}</pre>
+            </div>
+
+            <p className="warning-box">
+              💡 <strong>Note:</strong> The word OUTER is optional - <code>LEFT JOIN</code> and <code>LEFT OUTER JOIN</code> are the same.
+            </p>
           </section>
 
           <section>
@@ -118,6 +174,21 @@ FROM grades
 GROUP BY module`}</pre>
             </div>
 
+            <div className="example">
+              <p><strong>Table aliases - a short name for a table:</strong></p>
+              <pre className="code-block">{`SELECT s.forename, t.tutor_name
+FROM students AS s
+INNER JOIN tutor_groups t ON s.tutor_group_id = t.tutor_group_id`}</pre>
+            </div>
+
+            <div className="example">
+              <p><strong>Self-join - students who share a tutor group:</strong></p>
+              <pre className="code-block">{`SELECT a.forename, b.forename AS classmate
+FROM students a
+INNER JOIN students b ON a.tutor_group_id = b.tutor_group_id
+WHERE a.student_id != b.student_id`}</pre>
+            </div>
+
             <div className="example">
               <p><strong>Multiple aliases:</strong></p>
               <pre className="code-block">{`SELECT 
@@ -152,6 +223,7 @@ GROUP BY s.student_id, s.forename, s.surname, t.tutor_name`}</pre>
                 <li><code>INT</code>, <code>DECIMAL</code>, <code>FLOAT</code>, <code>NUMERIC</code> → number</li>
                 <li><code>VARCHAR</code>, <code>CHAR</code>, <code>TEXT</code> → string</li>
                 <li><code>BOOLEAN</code> → true/false</li>
+                <li><code>DATE</code> → <code>'2024-09-02'</code>, <code>DATETIME</code> / <code>TIMESTAMP</code> → <code>'2024-09-02 09:30:00'</code></li>
               </ul>
             </div>
 
@@ -175,7 +247,7 @@ ALTER TABLE contacts ADD city string`}</pre>
 
             <p className="warning-box">
               ⚠️ <strong>Note:</strong> You can only ALTER tables you created. 
-              The base tables (students, tutor_groups, grades) are protected.
+              The sample tables (students, tutor_groups, grades, attendance, submissions, modules) are protected.
             </p>
           </section>
 
@@ -186,7 +258,7 @@ ALTER TABLE contacts ADD city string`}</pre>
               <li><strong>AUTO_INCREMENT</strong>: auto-generates the next numeric key when you omit the column</li>
               <li><strong>NOT NULL</strong>: value is required on insert/update</li>
               <li><strong>NULL</strong>: explicitly allow missing values</li>
-              <li><strong>Protected tables</strong>: students, tutor_groups, grades cannot be altered, dropped, or written to</li>
+              <li><strong>Protected tables</strong>: students, tutor_groups, grades, attendance, submissions, modules cannot be altered, dropped, or written to</li>
             </ul>
 
             <div className="example">
@@ -219,6 +291,19 @@ INSERT INTO students (student_id, forename) VALUES (999, 'Test');`}</pre>
 VALUES (value1, value2, value3)`}</pre>
             </div>
 
+            <div className="example">
+              <p><strong>Several rows at once:</strong></p>
+              <pre className="code-block">{`INSERT INTO tasks (title, done)
+VALUES ('Mark essays', FALSE), ('Tidy room', TRUE), ('Email parents', FALSE);`}</pre>
+            </div>
+
+            <div className="example">
+              <p><strong>Rows from a query:</strong></p>
+              <pre className="code-block">{`-- The SELECT must return one column per listed column
+INSERT INTO tasks (title, done)
+SELECT CONCAT('Chase ', forename), FALSE FROM students WHERE tutor_group_id = 1;`}</pre>
+            </div>
+
             <div className="example">
               <p><strong>Example:</strong></p>
               <pre className="code-block">{`-- Let AUTO_INCREMENT fill the id
@@ -229,8 +314,8 @@ INSERT INTO tasks (id, title, done) VALUES (10, 'Review', TRUE);`}</pre>
             </div>
 
             <p className="warning-box">
-              ⚠️ <strong>Protected tables:</strong> You cannot INSERT into students, 
-              tutor_groups, or grades tables.
+              ⚠️ <strong>Protected tables:</strong> You cannot INSERT into the sample tables
+              (students, tutor_groups, grades, attendance, submissions, modules).
             </p>
           </section>
 
@@ -259,10 +344,28 @@ SET email = 'updated@example.com', phone = '555-9999'
 WHERE name = 'John Smith'`}</pre>
             </div>
 
+            <div className="example">
+              <p><strong>Calculate the new value from the old one:</strong></p>
+              <pre className="code-block">{`UPDATE stock
+SET qty = qty + 10
+WHERE qty < 5`}</pre>
+            </div>
+
+            <div className="example">
+              <p><strong>Look the new value up with a subquery:</strong></p>
+              <pre className="code-block">{`UPDATE results
+SET best = (SELECT MAX(g.score) FROM grades g
+            WHERE g.student_id = results.student_id)`}</pre>
+            </div>
+
+            <p>The new value must match the column's type - putting text into a number column is a TYPE_MISMATCH error.</p>
+
             <p className="warning-box">
               ⚠️ <strong>Important:</strong> Always use a WHERE clause or you'll update ALL rows!
               Protected tables cannot be updated.
             </p>
+            <p>Every row is checked before any is changed, so if one row's new value is invalid
+              (wrong type, NULL in a NOT NULL column, or a duplicate primary key) the whole UPDATE fails and no rows change.</p>
           </section>
 
           <section>
@@ -393,24 +496,49 @@ DROP TABLE test_scores;`}</pre>
 
             <p className="warning-box">
               ⚠️ <strong>Note:</strong> You can only DROP tables you created. 
-              Protected tables (students, tutor_groups, grades) cannot be dropped.
+              Protected tables (students, tutor_groups, grades, attendance, submissions, modules) cannot be dropped.
             </p>
           </section>
 
           <section>
-            <h3>🆕 Semicolon Support</h3>
-            <p>End your statements with a semicolon (;) just like in real SQL!</p>
+            <h3>🆕 Semicolons and Scripts</h3>
+            <p>End your statements with a semicolon (;) just like in real SQL! Separate several statements with semicolons
+              and they all run, one after another, when you click Run.</p>
             
             <div className="example">
-              <p><strong>All statements support semicolons:</strong></p>
-              <pre className="code-block">{`SELECT * FROM students;
-CREATE TABLE test (id number);
+              <p><strong>Create a table, fill it and check it in one go:</strong></p>
+              <pre className="code-block">{`CREATE TABLE test (id number);
 INSERT INTO test (id) VALUES (1);
-DROP TABLE test;`}</pre>
+INSERT INTO test (id) VALUES (2);
+SELECT * FROM test;`}</pre>
             </div>
 
+            <p>The results show each statement in turn. If one fails it's highlighted in red with its error,
+              and the statements after it are not run - fix it and run the script again.</p>
+
             <p className="warning-box">
-              💡 <strong>Note:</strong> Semicolons are optional - both styles work!
+              💡 <strong>Note:</strong> The semicolon after the last statement is optional. Statements that ran before
+              the failing one have already changed the data, so you may need to DROP a table you created before re-running.
+            </p>
+          </section>
+
+          <section>
+            <h3>🆕 Transactions (BEGIN, COMMIT, ROLLBACK)</h3>
+            <p>A transaction lets you try changes and then decide whether to keep them. After <code>BEGIN</code>,
+              every INSERT, UPDATE, DELETE and table change can be undone with <code>ROLLBACK</code> until you <code>COMMIT</code>.</p>
+            <div className="example">
+              <p><strong>Try an UPDATE, check it, then undo it:</strong></p>
+              <pre className="code-block">{`BEGIN;
+UPDATE test SET id = id * 10;
+SELECT * FROM test;
+ROLLBACK;`}</pre>
+            </div>
+            <h4>Savepoints</h4>
+            <p><code>SAVEPOINT name</code> marks a point inside a transaction. <code>ROLLBACK TO name</code> undoes only the
+              changes made after it, and the transaction stays open.</p>
+            <p className="warning-box">
+              💡 <strong>Note:</strong> While a transaction is open, the Source Tables panel shows an "Uncommitted changes" banner.
+              The transaction stays open between runs until you COMMIT or ROLLBACK (or press Reset).
             </p>
           </section>
 
@@ -437,6 +565,8 @@ DROP TABLE test;`}</pre>
               <li><code>&gt;</code> - Greater than</li>
               <li><code>&gt;=</code> - Greater than or equal to</li>
               <li><code>LIKE</code> - Pattern matching with <code>%</code> wildcard</li>
+              <li><code>IN (a, b, c)</code> - Matches any value in the list (<code>NOT IN</code> for none)</li>
+              <li><code>BETWEEN a AND b</code> - Within a range, including both ends</li>
             </ul>
             <div className="example">
               <p><strong>Examples:</strong></p>
@@ -449,8 +579,205 @@ WHERE room != 'B12'
 -- Pattern matching
 WHERE surname LIKE 'S%'    -- Starts with S
 WHERE forename LIKE '%e'   -- Ends with e
-WHERE module LIKE '%Data%' -- Contains Data`}</pre>
+WHERE module LIKE '%Data%' -- Contains Data
+
+-- Lists and ranges
+WHERE tutor_group_id IN (1, 3)
+WHERE surname NOT IN ('Smith', 'Brown')
+WHERE score BETWEEN 60 AND 69`}</pre>
+            </div>
+          </section>
+
+          <section>
+            <h3>🆕 Combining Conditions (AND, OR, NOT)</h3>
+            <ul>
+              <li><code>AND</code> - both conditions must be true</li>
+              <li><code>OR</code> - at least one condition must be true</li>
+              <li><code>NOT</code> - flips a condition</li>
+            </ul>
+            <p><code>NOT</code> is worked out first, then <code>AND</code>, then <code>OR</code>. Use brackets to change the order.</p>
+            <div className="example">
+              <p><strong>Students in group 1 or 3, except anyone called Smith:</strong></p>
+              <pre className="code-block">{`SELECT forename, surname
+FROM students
+WHERE (tutor_group_id = 1 OR tutor_group_id = 3)
+  AND NOT surname = 'Smith'`}</pre>
+            </div>
+            <div className="example">
+              <p><strong>Without brackets, AND happens first:</strong></p>
+              <pre className="code-block">{`-- Every Smith, plus Eve from group 3
+WHERE surname = 'Smith' OR tutor_group_id = 3 AND forename = 'Eve'`}</pre>
+            </div>
+          </section>
+
+          <section>
+            <h3>🆕 Testing for NULL</h3>
+            <p><code>NULL</code> means "no value". You can't compare it with <code>=</code> - the answer is UNKNOWN, so the row is left out.</p>
+            <div className="example">
+              <p><strong>Find or exclude missing values:</strong></p>
+              <pre className="code-block">{`-- ✅ Correct
+WHERE score IS NULL
+WHERE score IS NOT NULL
+
+-- ❌ Never matches anything
+WHERE score = NULL`}</pre>
+            </div>
+            <p className="warning-box">
+              💡 <strong>Note:</strong> <code>NOT</code> of UNKNOWN is still UNKNOWN, and <code>NOT IN</code> a list containing NULL never matches.
+              Aggregates like <code>AVG</code> and <code>COUNT(column)</code> skip NULLs.
+            </p>
+          </section>
+
+          <section>
+            <h3>🆕 Sorting by Several Columns</h3>
+            <p>List more than one sort key, separated by commas. The second key only sorts rows that tie on the first.
+              A key can be a column, an expression, a column alias, or a position in the SELECT list.</p>
+            <div className="example">
+              <p><strong>By surname A-Z, then forename Z-A:</strong></p>
+              <pre className="code-block">{`SELECT surname, forename
+FROM students
+ORDER BY surname ASC, forename DESC`}</pre>
+            </div>
+            <div className="example">
+              <p><strong>By an alias, then by the first column:</strong></p>
+              <pre className="code-block">{`SELECT module, AVG(score) AS average_score
+FROM grades
+GROUP BY module
+ORDER BY average_score DESC, 1`}</pre>
+            </div>
+            <p>NULLs sort before every other value (first with ASC, last with DESC). Add <code>NULLS FIRST</code> or
+              <code>NULLS LAST</code> to choose: <code>ORDER BY submitted_at NULLS FIRST</code>.</p>
+            <p className="warning-box">
+              💡 <strong>Note:</strong> Rows that tie on every key stay in the order they were found, so the same query always gives the same result.
+            </p>
+          </section>
+
+          <section>
+            <h3>🆕 Pages of Results (LIMIT and OFFSET)</h3>
+            <p><code>OFFSET</code> skips rows and <code>LIMIT</code> says how many to return, so you can show results a page at a time.
+              They happen after <code>ORDER BY</code>.</p>
+            <div className="example">
+              <p><strong>Page 2 of the students, 3 per page - these all mean the same:</strong></p>
+              <pre className="code-block">{`SELECT forename, surname FROM students
+ORDER BY surname, forename
+LIMIT 3 OFFSET 3
+
+-- MySQL style: LIMIT skip, count
+LIMIT 3, 3
+
+-- SQL standard style
+OFFSET 3 ROWS FETCH FIRST 3 ROWS ONLY`}</pre>
             </div>
+            <p className="warning-box">
+              💡 <strong>Note:</strong> Without ORDER BY the rows have no fixed order, so a "page" might not be what you expect.
+              The results panel shows which rows you got, e.g. <em>rows 4-6 of 10</em>.
+            </p>
+          </section>
+
+          <section>
+            <h3>🆕 Calculations (+, -, *, /, %)</h3>
+            <p>You can do maths with number columns anywhere a value is allowed: in SELECT, WHERE, ORDER BY and UPDATE ... SET.</p>
+            <ul>
+              <li><code>*</code>, <code>/</code> and <code>%</code> (remainder) are worked out before <code>+</code> and <code>-</code></li>
+              <li>Use brackets to change the order: <code>(score + 5) * 2</code></li>
+              <li>A calculation with NULL gives NULL, and dividing by 0 is an error</li>
+            </ul>
+            <div className="example">
+              <p><strong>Add 10% to every score:</strong></p>
+              <pre className="code-block">{`SELECT student_id, module, score * 1.1 AS adjusted
+FROM grades
+WHERE score * 1.1 > 100
+ORDER BY score * 1.1 DESC`}</pre>
+            </div>
+            <p className="warning-box">
+              💡 <strong>Note:</strong> only numbers can be used in calculations - <code>surname + 1</code> is a TYPE_MISMATCH error.
+            </p>
+          </section>
+
+          <section>
+            <h3>🆕 Functions</h3>
+            <p>Functions change one value at a time. Use them anywhere a value is allowed.</p>
+            <ul>
+              <li><code>UPPER(text)</code>, <code>LOWER(text)</code>, <code>TRIM(text)</code>, <code>LENGTH(text)</code></li>
+              <li><code>SUBSTR(text, start, length)</code> - part of the text, counting from 1</li>
+              <li><code>REPLACE(text, find, replacement)</code></li>
+              <li><code>a || b</code> or <code>CONCAT(a, b, ...)</code> - join text together</li>
+              <li><code>ROUND(number, places)</code>, <code>ABS(number)</code>, <code>FLOOR(number)</code>, <code>CEIL(number)</code></li>
+              <li><code>COALESCE(a, b, ...)</code> - the first value that isn't NULL</li>
+              <li><code>IFNULL(value, fallback)</code>, <code>NULLIF(a, b)</code> - NULL when a equals b</li>
+            </ul>
+            <div className="example">
+              <p><strong>Full names in capitals:</strong></p>
+              <pre className="code-block">{`SELECT UPPER(forename || ' ' || surname) AS full_name
+FROM students
+WHERE LENGTH(surname) > 5`}</pre>
+            </div>
+            <div className="example">
+              <p><strong>Rounded averages:</strong></p>
+              <pre className="code-block">{`SELECT module, ROUND(AVG(score), 1) AS average
+FROM grades
+GROUP BY module`}</pre>
+            </div>
+            <p className="warning-box">
+              💡 <strong>Note:</strong> <code>||</code> gives NULL if either side is NULL, but <code>CONCAT()</code> skips NULLs.
+              A misspelt name gives an UNKNOWN_FUNCTION error.
+            </p>
+          </section>
+
+          <section>
+            <h3>🆕 Working with Dates</h3>
+            <p>Dates are written as text in year-month-day order: <code>'2024-09-02'</code>, or <code>'2024-09-02 09:30:00'</code> with a time.
+              Put <code>DATE</code> in front to make it clear: <code>DATE '2024-09-02'</code>.</p>
+            <ul>
+              <li><code>DATE(value)</code> - just the day, without the time</li>
+              <li><code>YEAR(date)</code>, <code>MONTH(date)</code>, <code>DAY(date)</code> - parts of a date as numbers</li>
+              <li><code>DATEDIFF(later, earlier)</code> - number of days between two dates</li>
+              <li><code>CURRENT_DATE</code> - today's date</li>
+            </ul>
+            <div className="example">
+              <p><strong>Late submissions, and how late they were:</strong></p>
+              <pre className="code-block">{`SELECT student_id, module, DATEDIFF(submitted_at, due_date) AS days_late
+FROM submissions
+WHERE DATE(submitted_at) > due_date
+ORDER BY submitted_at`}</pre>
+            </div>
+            <div className="example">
+              <p><strong>Absences in October 2024:</strong></p>
+              <pre className="code-block">{`SELECT student_id, session_date
+FROM attendance
+WHERE present = FALSE
+  AND session_date BETWEEN '2024-10-01' AND '2024-10-31'`}</pre>
+            </div>
+            <p className="warning-box">
+              💡 <strong>Note:</strong> a DATE on its own means midnight, so <code>submitted_at &gt; due_date</code> counts
+              work handed in later on the due day as late. Compare <code>DATE(submitted_at)</code> instead.
+            </p>
+          </section>
+
+          <section>
+            <h3>🆕 CASE Expressions</h3>
+            <p><code>CASE</code> picks a value using the first <code>WHEN</code> that is true. If none match, you get the <code>ELSE</code> value (or NULL without an <code>ELSE</code>).</p>
+            <div className="example">
+              <p><strong>Turn scores into grade bands:</strong></p>
+              <pre className="code-block">{`SELECT student_id, module,
+  CASE
+    WHEN score >= 70 THEN 'Distinction'
+    WHEN score >= 60 THEN 'Merit'
+    WHEN score >= 40 THEN 'Pass'
+    ELSE 'Fail'
+  END AS band
+FROM grades`}</pre>
+            </div>
+            <div className="example">
+              <p><strong>Short form - compare one value against each WHEN:</strong></p>
+              <pre className="code-block">{`SELECT forename,
+  CASE tutor_group_id WHEN 1 THEN 'Red' WHEN 2 THEN 'Blue' ELSE 'Green' END AS house
+FROM students
+ORDER BY CASE WHEN tutor_group_id = 2 THEN 0 ELSE 1 END`}</pre>
+            </div>
+            <p className="warning-box">
+              💡 <strong>Note:</strong> every branch must give the same type - mixing <code>'Pass'</code> and <code>0</code> is a TYPE_MISMATCH error.
+            </p>
           </section>
 
           <section>
@@ -529,6 +856,142 @@ GROUP BY module`}</pre>
             </div>
           </section>
 
+          <section>
+            <h3>🆕 Subqueries</h3>
+            <p>A subquery is a SELECT inside brackets, used inside another query.</p>
+            <div className="example">
+              <p><strong>As a single value - grades equal to the top score:</strong></p>
+              <pre className="code-block">{`SELECT student_id, module, score
+FROM grades
+WHERE score = (SELECT MAX(score) FROM grades)`}</pre>
+            </div>
+            <div className="example">
+              <p><strong>With IN - students with at least one score of 95+:</strong></p>
+              <pre className="code-block">{`SELECT forename, surname
+FROM students
+WHERE student_id IN (SELECT student_id FROM grades WHERE score >= 95)`}</pre>
+            </div>
+            <div className="example">
+              <p><strong>Correlated with EXISTS - the inner query uses the outer row:</strong></p>
+              <pre className="code-block">{`SELECT t.tutor_name
+FROM tutor_groups t
+WHERE EXISTS (SELECT * FROM students s
+              WHERE s.tutor_group_id = t.tutor_group_id
+                AND s.surname = 'Smith')`}</pre>
+            </div>
+            <div className="example">
+              <p><strong>In FROM (a derived table) - build a query step by step:</strong></p>
+              <pre className="code-block">{`-- Step 1: each student's best score
+-- Step 2: join that result to students
+SELECT s.forename, best.top
+FROM students s
+INNER JOIN (SELECT student_id, MAX(score) AS top
+            FROM grades
+            GROUP BY student_id) best
+  ON s.student_id = best.student_id`}</pre>
+            </div>
+            <p className="warning-box">
+              💡 <strong>Note:</strong> A subquery used as a single value must return one column and at most one row (no rows gives NULL).
+              A subquery in FROM or JOIN must have an alias, and its columns are named by the inner SELECT - use AS to name aggregates.
+            </p>
+          </section>
+
+          <section>
+            <h3>🆕 Naming Steps with WITH</h3>
+            <p>A common table expression (CTE) gives a query a name at the start, so the main query can use it like a table.
+              It's often easier to read than a subquery in FROM.</p>
+            <div className="example">
+              <p><strong>Students whose best score is 95 or more:</strong></p>
+              <pre className="code-block">{`WITH best AS (
+  SELECT student_id, MAX(score) AS top
+  FROM grades
+  GROUP BY student_id
+)
+SELECT s.forename, b.top
+FROM students s
+JOIN best b ON s.student_id = b.student_id
+WHERE b.top >= 95`}</pre>
+            </div>
+
+            <h4>WITH RECURSIVE</h4>
+            <p>A recursive CTE starts with some rows, then keeps adding rows that it works out from the rows it just added.
+              It's written as a starting SELECT, then <code>UNION ALL</code>, then a SELECT that uses the CTE's own name.</p>
+            <div className="example">
+              <p><strong>Every module you must pass before Data Analysis:</strong></p>
+              <pre className="code-block">{`WITH RECURSIVE chain (module, steps_back) AS (
+  SELECT module, 0 FROM modules WHERE module = 'Data Analysis'
+  UNION ALL
+  SELECT m.prerequisite, c.steps_back + 1
+  FROM modules m
+  JOIN chain c ON m.module = c.module
+  WHERE m.prerequisite IS NOT NULL
+)
+SELECT * FROM chain ORDER BY steps_back DESC`}</pre>
+            </div>
+            <p className="warning-box">
+              💡 <strong>Note:</strong> The recursion stops when a round adds no rows. If it never would, it's stopped after 100 rounds
+              with a RECURSION_LIMIT error - check your WHERE condition. Using <code>UNION</code> instead of <code>UNION ALL</code> skips rows already found.
+            </p>
+          </section>
+
+          <section>
+            <h3>🆕 Combining Results (UNION, INTERSECT, EXCEPT)</h3>
+            <p>Set operators join the rows of two SELECTs into one result:</p>
+            <ul>
+              <li><code>UNION</code> - rows from either query, without duplicates (<code>UNION ALL</code> keeps them)</li>
+              <li><code>INTERSECT</code> - rows that appear in both queries</li>
+              <li><code>EXCEPT</code> - rows from the first query that aren't in the second</li>
+            </ul>
+            <div className="example">
+              <p><strong>Everyone in tutor group 1, students and tutor together:</strong></p>
+              <pre className="code-block">{`SELECT forename AS name FROM students WHERE tutor_group_id = 1
+UNION
+SELECT tutor_name FROM tutor_groups WHERE tutor_group_id = 1
+ORDER BY name`}</pre>
+            </div>
+            <div className="example">
+              <p><strong>Students who have never missed a session:</strong></p>
+              <pre className="code-block">{`SELECT student_id FROM students
+EXCEPT
+SELECT student_id FROM attendance WHERE present = FALSE`}</pre>
+            </div>
+            <p className="warning-box">
+              💡 <strong>Note:</strong> Each SELECT must return the same number of columns, with matching types. Column names come from the first SELECT,
+              and an ORDER BY or LIMIT at the end applies to the combined result - order by a column name or position.
+            </p>
+          </section>
+
+          <section>
+            <h3>🆕 Window Functions (OVER)</h3>
+            <p>A window function gives every row a value worked out from the rows around it, without merging them like GROUP BY does.
+              <code>PARTITION BY</code> splits the rows into groups, and <code>ORDER BY</code> sets their order inside each group.</p>
+            <ul>
+              <li><code>ROW_NUMBER()</code> - 1, 2, 3, ... in order</li>
+              <li><code>RANK()</code> / <code>DENSE_RANK()</code> - ties share a rank; RANK skips the next ones (1, 2, 2, 4), DENSE_RANK doesn't (1, 2, 2, 3)</li>
+              <li><code>LAG(score)</code> / <code>LEAD(score)</code> - the value from the row before or after</li>
+              <li><code>SUM(score) OVER (ORDER BY ...)</code> - a running total (COUNT, AVG, MIN and MAX work too)</li>
+            </ul>
+            <div className="example">
+              <p><strong>Rank the scores in each module, best first:</strong></p>
+              <pre className="code-block">{`SELECT module, student_id, score,
+       RANK() OVER (PARTITION BY module ORDER BY score DESC) AS module_rank
+FROM grades
+ORDER BY module, module_rank`}</pre>
+            </div>
+            <div className="example">
+              <p><strong>Each paper compared with the one before:</strong></p>
+              <pre className="code-block">{`SELECT paper, score,
+       LAG(score) OVER (ORDER BY paper) AS previous_score,
+       SUM(score) OVER (ORDER BY paper) AS running_total
+FROM grades
+WHERE student_id = 1 AND module = 'Databases'`}</pre>
+            </div>
+            <p className="warning-box">
+              💡 <strong>Note:</strong> Window functions are worked out after WHERE, GROUP BY and HAVING, so they can't be used in those clauses.
+              To keep only the top rows, rank them in a WITH query and filter that with WHERE.
+            </p>
+          </section>
+
           <section>
             <h3>Understanding Errors</h3>
 
@@ -566,6 +1029,40 @@ INNER JOIN tutor_groups ON students.tutor_group_id = tutor_groups.tutor_group_id
               <li><code>MAX(column)</code> - Maximum value</li>
             </ul>
             <p>Note: Use with GROUP BY to aggregate by categories!</p>
+
+            <h4>🆕 Counting Different Values with DISTINCT</h4>
+            <p>Put <code>DISTINCT</code> inside the brackets to use each different value only once.
+              It works with <code>COUNT</code>, <code>SUM</code> and <code>AVG</code>.</p>
+            <div className="example">
+              <p><strong>How many different modules does each student take?</strong></p>
+              <pre className="code-block">{`SELECT student_id, COUNT(DISTINCT module) AS modules
+FROM grades
+GROUP BY student_id`}</pre>
+            </div>
+
+            <h4>🆕 Grouping and Aggregating Expressions</h4>
+            <p>Aggregates can work on a calculation, and GROUP BY can use an expression, a column alias
+              from the SELECT list, or a position (<code>GROUP BY 1</code> means the first selected column).</p>
+            <div className="example">
+              <p><strong>Absences per month:</strong></p>
+              <pre className="code-block">{`SELECT MONTH(session_date) AS month, SUM(CASE WHEN present = FALSE THEN 1 ELSE 0 END) AS absences
+FROM attendance
+GROUP BY month`}</pre>
+            </div>
+
+            <h4>🆕 Filtering Groups with HAVING</h4>
+            <p><code>WHERE</code> filters rows <em>before</em> grouping. <code>HAVING</code> filters groups <em>after</em> grouping, so it can use aggregates.</p>
+            <div className="example">
+              <p><strong>Modules with an average score above 80:</strong></p>
+              <pre className="code-block">{`SELECT module, AVG(score) AS average_score
+FROM grades
+GROUP BY module
+HAVING AVG(score) > 80`}</pre>
+            </div>
+            <p className="warning-box">
+              💡 <strong>Note:</strong> Any plain column in HAVING must also be in GROUP BY.
+              Aggregates like <code>AVG(score)</code> are not allowed in WHERE - use HAVING instead.
+            </p>
           </section>
 
           <section>
@@ -583,11 +1080,8 @@ INNER JOIN tutor_groups ON students.tutor_group_id = tutor_groups.tutor_group_id
             <h3>What's NOT Supported</h3>
             <p>This is a teaching tool, so these features aren't available:</p>
             <ul>
-              <li>❌ LEFT JOIN, RIGHT JOIN</li>
-              <li>❌ OR, NOT operators</li>
-              <li>❌ IN, BETWEEN</li>
-              <li>❌ Subqueries</li>
-              <li>❌ CASE statements</li>
+              <li>❌ Window frames (<code>ROWS BETWEEN ...</code>) - running totals always go up to the current row</li>
+              <li>❌ Views, indexes and triggers</li>
             </ul>
           </section>
 
@@ -4,9 +4,10 @@
  */
 
 import React from 'react';
+import { formatCellValue } from './formatValue.js';
 import './ResultsPanel.css';
 
-export default function ResultsPanel({ result, error, query }) {
+export default function ResultsPanel({ result, error, statements, query }) {
   const handlePrintReport = () => {
     // Create a new window for printing
     const printWindow = window.open('', '_blank');
@@ -88,6 +89,11 @@ export default function ResultsPanel({ result, error, query }) {
       padding: 15px;
       color: #c53030;
     }
+    .statement-code {
+      font-family: 'Courier New', monospace;
+      white-space: pre-wrap;
+      color: #495057;
+    }
     @media print {
       body { margin: 15px; }
       .no-print { display: none; }
@@ -107,37 +113,19 @@ export default function ResultsPanel({ result, error, query }) {
     <h2>Results</h2>
 `;
 
-    if (error) {
-      content += `
-    <div class="error-display">
-      <strong>${error.code}</strong><br>
-      ${escapeHtml(error.message)}
-      ${error.position !== null ? `<br><em>Position: ${error.position}</em>` : ''}
-    </div>
-`;
-    } else if (result) {
-      content += `<p><strong>Rows returned:</strong> ${result.meta.rowCount}</p>`;
-      
-      if (result.rows.length > 0) {
+    if (statements) {
+      // A script lists each statement with its own result
+      statements.forEach((entry, idx) => {
         content += `
-    <table>
-      <thead>
-        <tr>
-          ${result.columns.map(col => `<th>${escapeHtml(String(col))}</th>`).join('')}
-        </tr>
-      </thead>
-      <tbody>
-        ${result.rows.map(row => `
-        <tr>
-          ${row.map(cell => `<td>${escapeHtml(String(cell !== null && cell !== undefined ? cell : ''))}</td>`).join('')}
-        </tr>
-        `).join('')}
-      </tbody>
-    </table>
+    <h3>Statement ${idx + 1}</h3>
+    <div class="statement-code">${escapeHtml(entry.text)}</div>
 `;
-      } else {
-        content += '<p><em>No rows returned.</em></p>';
-      }
+        content += entry.skipped
+          ? '<p><em>Not run, because an earlier statement failed.</em></p>'
+          : renderResultHtml(entry.result, entry.error);
+      });
+    } else if (error || result) {
+      content += renderResultHtml(result, error);
     } else {
       content += '<p><em>No query executed.</em></p>';
     }
@@ -163,6 +151,41 @@ export default function ResultsPanel({ result, error, query }) {
     };
   };
 
+  const renderResultHtml = (result, error) => {
+    if (error) {
+      return `
+    <div class="error-display">
+      <strong>${error.code}</strong><br>
+      ${escapeHtml(error.message)}
+      ${error.position !== null ? `<br><em>Position: ${error.position}</em>` : ''}
+    </div>
+`;
+    }
+
+    let html = `<p><strong>Rows returned:</strong> ${describeRowCount(result.meta)}</p>`;
+    if (result.rows.length > 0) {
+      html += `
+    <table>
+      <thead>
+        <tr>
+          ${result.columns.map(col => `<th>${escapeHtml(String(col))}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${result.rows.map(row => `
+        <tr>
+          ${row.map(cell => `<td>${escapeHtml(String(cell !== null && cell !== undefined ? formatCellValue(cell) : 'NULL'))}</td>`).join('')}
+        </tr>
+        `).join('')}
+      </tbody>
+    </table>
+`;
+    } else {
+      html += '<p><em>No rows returned.</em></p>';
+    }
+    return html;
+  };
+
   const escapeHtml = (text) => {
     const div = document.createElement('div');
     div.textContent = text;
@@ -178,13 +201,42 @@ export default function ResultsPanel({ result, error, query }) {
             🖨️ Print Report
           </button>
         </div>
-        <div className="error-display">
-          <div className="error-code">{error.code}</div>
-          <div className="error-message">{error.message}</div>
-          {error.position !== null && (
-            <div className="error-position">Position: {error.position}</div>
-          )}
+        <ErrorDetails error={error} />
+      </div>
+    );
+  }
+
+  if (statements) {
+    return (
+      <div className="results-panel">
+        <div className="results-header">
+          <h2>Script Results</h2>
+          <div className="results-header-actions">
+            <div className="row-count">
+              {describeScript(statements)}
+            </div>
+            <button className="print-button" onClick={handlePrintReport} title="Print/Export Report">
+              🖨️ Print Report
+            </button>
+          </div>
         </div>
+
+        <ol className="script-results">
+          {statements.map((entry, idx) => (
+            <li
+              key={idx}
+              className={`script-statement${entry.error ? ' failed' : ''}${entry.skipped ? ' skipped' : ''}`}
+            >
+              <div className="script-statement-header">
+                <span className="statement-number">Statement {idx + 1}</span>
+                <span className="statement-status">{describeStatementStatus(entry)}</span>
+              </div>
+              <pre className="statement-text">{entry.text}</pre>
+              {entry.error && <ErrorDetails error={entry.error} />}
+              {entry.result && <ResultTable result={entry.result} />}
+            </li>
+          ))}
+        </ol>
       </div>
     );
   }
@@ -206,7 +258,7 @@ export default function ResultsPanel({ result, error, query }) {
         <h2>Results</h2>
         <div className="results-header-actions">
           <div className="row-count">
-            {result.meta.rowCount} row{result.meta.rowCount !== 1 ? 's' : ''}
+            {describeRowCount(result.meta)}
           </div>
           <button className="print-button" onClick={handlePrintReport} title="Print/Export Report">
             🖨️ Print Report
@@ -214,30 +266,95 @@ export default function ResultsPanel({ result, error, query }) {
         </div>
       </div>
       
-      {result.rows.length === 0 ? (
-        <div className="no-results">No rows returned.</div>
-      ) : (
-        <div className="results-wrapper">
-          <table className="results-table">
-            <thead>
-              <tr>
-                {result.columns.map((col, idx) => (
-                  <th key={idx}>{col}</th>
-                ))}
-              </tr>
-            </thead>
-            <tbody>
-              {result.rows.map((row, rowIdx) => (
-                <tr key={rowIdx}>
-                  {row.map((cell, cellIdx) => (
-                    <td key={cellIdx}>{cell}</td>
-                  ))}
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
+      <ResultTable result={result} />
+    </div>
+  );
+}
+
+/**
+ * An error's code, message and position
+ */
+function ErrorDetails({ error }) {
+  return (
+    <div className="error-display">
+      <div className="error-code">{error.code}</div>
+      <div className="error-message">{error.message}</div>
+      {error.position !== null && (
+        <div className="error-position">Position: {error.position}</div>
       )}
     </div>
   );
 }
+
+/**
+ * A result's rows as a table, or a note when there are none
+ */
+function ResultTable({ result }) {
+  return result.rows.length === 0 ? (
+    <div className="no-results">No rows returned.</div>
+  ) : (
+    <div className="results-wrapper">
+      <table className="results-table">
+        <thead>
+          <tr>
+            {result.columns.map((col, idx) => (
+              <th key={idx}>{col}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {result.rows.map((row, rowIdx) => (
+            <tr key={rowIdx}>
+              {row.map((cell, cellIdx) => (
+                <td key={cellIdx}>
+                  {cell === null || cell === undefined
+                    ? <span className="null-value">NULL</span>
+                    : formatCellValue(cell)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Summary for the header of a script's results, e.g. "4 statements run" or
+ * "statement 3 of 5 failed"
+ */
+function describeScript(statements) {
+  const failedIndex = statements.findIndex(entry => entry.error);
+  if (failedIndex === -1) {
+    return `${statements.length} statements run`;
+  }
+  return `statement ${failedIndex + 1} of ${statements.length} failed`;
+}
+
+/**
+ * Status shown next to each statement of a script
+ */
+function describeStatementStatus(entry) {
+  if (entry.skipped) return 'Not run';
+  if (entry.error) return 'Failed';
+  // Queries say which rows they returned; other statements report what they did in their result
+  return 'window' in entry.result.meta ? describeRowCount(entry.result.meta) : 'Done';
+}
+
+/**
+ * Row count for the header, e.g. "3 rows", or "rows 11-20 of 42" when LIMIT/OFFSET
+ * returned a window of the full result
+ */
+function describeRowCount(meta) {
+  const plural = count => `${count} row${count !== 1 ? 's' : ''}`;
+  const shown = meta.window;
+
+  if (!shown) {
+    return plural(meta.rowCount);
+  }
+  if (meta.rowCount === 0) {
+    return `0 of ${plural(shown.totalRows)}`;
+  }
+  return `rows ${shown.first}-${shown.last} of ${shown.totalRows}`;
+}
@@ -4,12 +4,19 @@
  */
 
 import React from 'react';
+import { formatCellValue } from './formatValue.js';
 import './TablesPanel.css';
 
-export default function TablesPanel({ tables, schema }) {
+export default function TablesPanel({ tables, schema, transaction }) {
   return (
     <div className="tables-panel">
       <h2>Source Tables</h2>
+      {transaction?.active && (
+        <div className={`transaction-indicator${transaction.modified ? ' uncommitted' : ''}`}>
+          <strong>{transaction.modified ? '⚠️ Uncommitted changes' : '🔓 Transaction open'}</strong>
+          <span>COMMIT to keep the changes shown below, or ROLLBACK to undo them.</span>
+        </div>
+      )}
       {Object.keys(tables).map(tableName => (
         <div key={tableName} className="table-display">
           <h3>{tableName}</h3>
@@ -26,7 +33,11 @@ export default function TablesPanel({ tables, schema }) {
                 {tables[tableName].map((row, idx) => (
                   <tr key={idx}>
                     {schema[tableName].columns.map(col => (
-                      <td key={col.name}>{row[col.name]}</td>
+                      <td key={col.name}>
+                        {row[col.name] === null || row[col.name] === undefined
+                          ? <span className="null-value">NULL</span>
+                          : formatCellValue(row[col.name])}
+                      </td>
                     ))}
                   </tr>
                 ))}
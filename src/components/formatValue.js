@@ -0,0 +1,15 @@
+/**
+ * Cell Formatting
+ * How a value from a table or result is shown in a grid cell
+ */
+
+/**
+ * A non-NULL value as it should appear in a cell; React renders nothing for
+ * true and false, so BOOLEAN values are written out as TRUE and FALSE
+ */
+export function formatCellValue(value) {
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  return value;
+}
@@ -252,4 +252,66 @@ export const sampleData = {
     { student_id: 10, module: 'Data Analysis', paper: 2, score: 80 },
     { student_id: 10, module: 'Data Analysis', paper: 3, score: 83 },
   ],
+  // Dates are ISO text: DATE as 'YYYY-MM-DD', DATETIME as 'YYYY-MM-DD HH:MM:SS'
+  attendance: [
+    // Tutorial session on 2024-09-09
+    { student_id: 1, session_date: '2024-09-09', present: true },
+    { student_id: 2, session_date: '2024-09-09', present: true },
+    { student_id: 3, session_date: '2024-09-09', present: true },
+    { student_id: 4, session_date: '2024-09-09', present: false },
+    { student_id: 5, session_date: '2024-09-09', present: true },
+    { student_id: 6, session_date: '2024-09-09', present: true },
+    { student_id: 7, session_date: '2024-09-09', present: true },
+    { student_id: 8, session_date: '2024-09-09', present: true },
+    { student_id: 9, session_date: '2024-09-09', present: true },
+    { student_id: 10, session_date: '2024-09-09', present: true },
+    // Tutorial session on 2024-10-07
+    { student_id: 1, session_date: '2024-10-07', present: true },
+    { student_id: 2, session_date: '2024-10-07', present: false },
+    { student_id: 3, session_date: '2024-10-07', present: true },
+    { student_id: 4, session_date: '2024-10-07', present: true },
+    { student_id: 5, session_date: '2024-10-07', present: true },
+    { student_id: 6, session_date: '2024-10-07', present: false },
+    { student_id: 7, session_date: '2024-10-07', present: true },
+    { student_id: 8, session_date: '2024-10-07', present: true },
+    { student_id: 9, session_date: '2024-10-07', present: true },
+    { student_id: 10, session_date: '2024-10-07', present: true },
+    // Tutorial session on 2024-11-04
+    { student_id: 1, session_date: '2024-11-04', present: true },
+    { student_id: 2, session_date: '2024-11-04', present: true },
+    { student_id: 3, session_date: '2024-11-04', present: true },
+    { student_id: 4, session_date: '2024-11-04', present: false },
+    { student_id: 5, session_date: '2024-11-04', present: true },
+    { student_id: 6, session_date: '2024-11-04', present: true },
+    { student_id: 7, session_date: '2024-11-04', present: true },
+    { student_id: 8, session_date: '2024-11-04', present: true },
+    { student_id: 9, session_date: '2024-11-04', present: false },
+    { student_id: 10, session_date: '2024-11-04', present: true },
+  ],
+  submissions: [
+    // submitted_at is NULL for work that was never handed in
+    { submission_id: 1, student_id: 1, module: 'Databases', due_date: '2024-10-04', submitted_at: '2024-10-03 16:45:00' },
+    { submission_id: 2, student_id: 2, module: 'Databases', due_date: '2024-10-04', submitted_at: '2024-10-05 09:10:00' },
+    { submission_id: 3, student_id: 3, module: 'Databases', due_date: '2024-10-04', submitted_at: '2024-10-04 23:30:00' },
+    { submission_id: 4, student_id: 4, module: 'Databases', due_date: '2024-10-04', submitted_at: null },
+    { submission_id: 5, student_id: 5, module: 'Programming', due_date: '2024-11-15', submitted_at: '2024-11-14 11:00:00' },
+    { submission_id: 6, student_id: 6, module: 'Programming', due_date: '2024-11-15', submitted_at: '2024-11-20 08:30:00' },
+    { submission_id: 7, student_id: 7, module: 'Programming', due_date: '2024-11-15', submitted_at: '2024-11-15 10:15:00' },
+    { submission_id: 8, student_id: 8, module: 'Programming', due_date: '2024-11-15', submitted_at: '2024-11-12 14:00:00' },
+    { submission_id: 9, student_id: 9, module: 'Web Development', due_date: '2025-01-17', submitted_at: '2025-01-16 17:20:00' },
+    { submission_id: 10, student_id: 10, module: 'Web Development', due_date: '2025-01-17', submitted_at: null },
+    { submission_id: 11, student_id: 1, module: 'Web Development', due_date: '2025-01-17', submitted_at: '2025-01-17 09:00:00' },
+    { submission_id: 12, student_id: 2, module: 'Web Development', due_date: '2025-01-17', submitted_at: '2025-01-21 12:00:00' },
+  ],
+  modules: [
+    // Each module names the one that must be passed first, so they form a tree
+    // (walk it with WITH RECURSIVE); prerequisite is NULL for starting modules
+    { module: 'Problem Solving', prerequisite: null, level: 1 },
+    { module: 'Digital Environments', prerequisite: null, level: 1 },
+    { module: 'Programming', prerequisite: 'Problem Solving', level: 2 },
+    { module: 'Project Management', prerequisite: 'Digital Environments', level: 2 },
+    { module: 'Databases', prerequisite: 'Programming', level: 3 },
+    { module: 'Web Development', prerequisite: 'Programming', level: 3 },
+    { module: 'Data Analysis', prerequisite: 'Databases', level: 4 },
+  ],
 };
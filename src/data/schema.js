@@ -29,6 +29,31 @@ export const schema = {
       { name: 'score', type: 'number' },
     ],
   },
+  attendance: {
+    columns: [
+      { name: 'student_id', type: 'number' },
+      { name: 'session_date', type: 'date' },
+      { name: 'present', type: 'boolean' },
+    ],
+  },
+  submissions: {
+    columns: [
+      { name: 'submission_id', type: 'number' },
+      { name: 'student_id', type: 'number' },
+      { name: 'module', type: 'string' },
+      { name: 'due_date', type: 'date' },
+      { name: 'submitted_at', type: 'datetime' },
+    ],
+    primaryKey: 'submission_id',
+  },
+  modules: {
+    columns: [
+      { name: 'module', type: 'string' },
+      { name: 'prerequisite', type: 'string' },
+      { name: 'level', type: 'number' },
+    ],
+    primaryKey: 'module',
+  },
 };
 
 /**
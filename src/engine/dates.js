@@ -0,0 +1,69 @@
+/**
+ * Date Helpers
+ * DATE and DATETIME values are stored as ISO text ('2024-09-02' and '2024-09-02 09:30:00'),
+ * so they compare and sort correctly as plain strings
+ */
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a column or value type holds dates
+ */
+export function isDateType(type) {
+  return type === 'date' || type === 'datetime';
+}
+
+/**
+ * Parse ISO text into a DATE ('YYYY-MM-DD') or DATETIME ('YYYY-MM-DD HH:MM:SS') value,
+ * or return null if it isn't a real date. A DATE drops any time; a DATETIME without
+ * a time is midnight
+ */
+export function parseDateValue(text, type = 'date') {
+  if (typeof text !== 'string') return null;
+
+  const match = DATE_PATTERN.exec(text.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+
+  // Reject impossible days such as 2024-02-30
+  const check = new Date(0);
+  check.setUTCFullYear(Number(year), Number(month) - 1, Number(day));
+  if (
+    check.getUTCFullYear() !== Number(year) ||
+    check.getUTCMonth() !== Number(month) - 1 ||
+    check.getUTCDate() !== Number(day)
+  ) {
+    return null;
+  }
+  if (Number(hour) > 23 || Number(minute) > 59 || Number(second) > 59) {
+    return null;
+  }
+
+  const datePart = `${year}-${month}-${day}`;
+  return type === 'datetime' ? `${datePart} ${hour}:${minute}:${second}` : datePart;
+}
+
+/**
+ * Whole days from one date to another, ignoring any time of day
+ */
+export function daysBetween(from, to) {
+  const toUtc = value => {
+    const [year, month, day] = parseDateValue(value).split('-').map(Number);
+    const date = new Date(0);
+    date.setUTCFullYear(year, month - 1, day);
+    return date.getTime();
+  };
+  return Math.round((toUtc(to) - toUtc(from)) / MS_PER_DAY);
+}
+
+/**
+ * Today's date on this computer
+ */
+export function currentDate() {
+  const now = new Date();
+  const pad = number => String(number).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
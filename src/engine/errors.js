@@ -16,10 +16,14 @@ export const ErrorCodes = {
   SYNTAX_ERROR: 'SYNTAX_ERROR',
   UNKNOWN_TABLE: 'UNKNOWN_TABLE',
   UNKNOWN_COLUMN: 'UNKNOWN_COLUMN',
+  UNKNOWN_FUNCTION: 'UNKNOWN_FUNCTION',
   AMBIGUOUS_COLUMN: 'AMBIGUOUS_COLUMN',
   UNSUPPORTED_FEATURE: 'UNSUPPORTED_FEATURE',
   INVALID_LITERAL: 'INVALID_LITERAL',
   INVALID_QUERY: 'INVALID_QUERY',
+  TYPE_MISMATCH: 'TYPE_MISMATCH',
+  RECURSION_LIMIT: 'RECURSION_LIMIT',
+  TRANSACTION_ERROR: 'TRANSACTION_ERROR',
 };
 
 export function createSyntaxError(message, position = null) {
@@ -47,6 +51,14 @@ export function createUnknownColumnError(columnName, tableName = null, position
   );
 }
 
+export function createUnknownFunctionError(functionName, knownFunctions, position = null) {
+  return new SqlError(
+    ErrorCodes.UNKNOWN_FUNCTION,
+    `Unknown function: ${functionName}(). Tip: the available functions are ${knownFunctions.join(', ')}.`,
+    position
+  );
+}
+
 export function createAmbiguousColumnError(columnName, tables, position = null) {
   return new SqlError(
     ErrorCodes.AMBIGUOUS_COLUMN,
@@ -55,10 +67,44 @@ export function createAmbiguousColumnError(columnName, tables, position = null)
   );
 }
 
+export function createTypeMismatchError(message, position = null, tip = null) {
+  // Each kind of mismatch has its own fix, so the caller gives the tip (if any)
+  return new SqlError(
+    ErrorCodes.TYPE_MISMATCH,
+    `Type mismatch: ${message}.${tip ? ` Tip: ${tip}.` : ''}`,
+    position
+  );
+}
+
+export function createInvalidDateError(text, type, position = null) {
+  const format = type === 'datetime' ? "'YYYY-MM-DD HH:MM:SS'" : "'YYYY-MM-DD'";
+  return new SqlError(
+    ErrorCodes.INVALID_LITERAL,
+    `Invalid ${type.toUpperCase()} value: '${text}'. Tip: write it as ${format}, e.g. ${type === 'datetime' ? "'2024-09-02 09:30:00'" : "'2024-09-02'"}, and check the month and day exist.`,
+    position
+  );
+}
+
+export function createRecursionLimitError(cteName, rounds, rows, position = null) {
+  return new SqlError(
+    ErrorCodes.RECURSION_LIMIT,
+    `WITH RECURSIVE '${cteName}' was stopped after ${rounds} rounds and ${rows} rows because it kept adding rows. Tip: give the recursive SELECT a WHERE condition that eventually stops it, e.g. WHERE depth < 10, or use UNION instead of UNION ALL so rows already found aren't added again.`,
+    position
+  );
+}
+
+export function createTransactionError(message, position = null) {
+  return new SqlError(
+    ErrorCodes.TRANSACTION_ERROR,
+    `${message}. Tip: BEGIN starts a transaction and SAVEPOINT name marks a point inside it; COMMIT keeps the changes, ROLLBACK undoes them all and ROLLBACK TO name undoes those since the savepoint.`,
+    position
+  );
+}
+
 export function createUnsupportedFeatureError(feature, position = null) {
   return new SqlError(
     ErrorCodes.UNSUPPORTED_FEATURE,
-    `Unsupported feature: ${feature}. Tip: this simulator supports SELECT, FROM, INNER JOIN, WHERE (AND only), ORDER BY, LIMIT, DISTINCT, basic aggregates, and simple DDL/DML. Remove '${feature}' or replace it with a supported construct.`,
+    `Unsupported feature: ${feature}. Tip: this simulator supports SELECT, FROM, INNER/LEFT/RIGHT/FULL JOIN, WHERE (AND/OR/NOT), GROUP BY/HAVING, ORDER BY, LIMIT, DISTINCT, UNION/INTERSECT/EXCEPT, WITH, subqueries, CASE, arithmetic, scalar functions, basic aggregates, window functions, transactions, and simple DDL/DML. Remove '${feature}' or replace it with a supported construct.`,
     position
   );
 }
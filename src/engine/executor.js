@@ -4,16 +4,35 @@
  */
 
 import { tokenize } from './tokenizer.js';
-import { parse } from './parser.js';
-import { validate } from './validator.js';
+import { parse, splitStatements } from './parser.js';
+import { validate, containsAggregate, collectWindowFunctions } from './validator.js';
 import { schema } from '../data/schema.js';
+import {
+  SqlError,
+  ErrorCodes,
+  createSyntaxError,
+  createUnsupportedFeatureError,
+  createTypeMismatchError,
+  createRecursionLimitError,
+} from './errors.js';
+import { resolveFunctionCall, getParamType, acceptsArgumentValue } from './functions.js';
+import { isDateType, parseDateValue } from './dates.js';
+import { WINDOW_FUNCTIONS } from './windows.js';
+import { createTransactionState, executeTransactionStatement } from './transactions.js';
+
+// WITH RECURSIVE gives up after this many rounds of the recursive SELECT, or once it has
+// found this many rows, so a query that never stops can't freeze the page
+const RECURSION_ROUND_LIMIT = 100;
+const RECURSION_ROW_LIMIT = 10000;
 
 export class Executor {
-  constructor(ast, data, validator, schema) {
+  constructor(ast, data, validator, schema, outerRow = {}) {
     this.ast = ast;
     this.data = data;
     this.validator = validator;
     this.schema = schema;
+    // Row of the enclosing query when this executor runs a correlated subquery
+    this.outerRow = outerRow;
   }
 
   resolveColumnDefinitions(tableName) {
@@ -48,34 +67,61 @@ export class Executor {
         return typeof value === 'string';
       case 'boolean':
         return typeof value === 'boolean';
+      case 'date':
+      case 'datetime':
+        return parseDateValue(value, expectedType) !== null;
       default:
         return true;
     }
   }
 
-  getNextAutoIncrementValue(tableName, columnName) {
-    const tableData = this.data[tableName] || [];
-    const tableSchema = this.schema[tableName] || {};
-
-    if (!tableSchema.autoIncrementCounters) {
-      tableSchema.autoIncrementCounters = {};
-      this.schema[tableName] = tableSchema;
+  toColumnValue(value, columnType) {
+    // Dates are stored in one ISO format so they compare correctly,
+    // e.g. '2024-09-02T09:30' in a DATETIME column becomes '2024-09-02 09:30:00'
+    if (isDateType(columnType)) {
+      return parseDateValue(value, columnType) ?? value;
     }
+    return value;
+  }
+
+  getNextAutoIncrementValue(tableName, columnName, stagedRows = []) {
+    // Rows staged by the current statement count too, but the counter itself only moves
+    // once the statement succeeds (see recordAutoIncrementValues)
+    const tableData = [...(this.data[tableName] || []), ...stagedRows];
+    const counter = this.schema[tableName]?.autoIncrementCounters?.[columnName] || 0;
 
     const currentMax = tableData.reduce((max, row) => {
       const val = Number(row[columnName]);
       return Number.isFinite(val) && val > max ? val : max;
     }, 0);
 
-    const nextVal = Math.max(tableSchema.autoIncrementCounters[columnName] || 0, currentMax) + 1;
-    tableSchema.autoIncrementCounters[columnName] = nextVal;
-    return nextVal;
+    return Math.max(counter, currentMax) + 1;
+  }
+
+  recordAutoIncrementValues(tableName, columnDefs, rows) {
+    // Move AUTO_INCREMENT counters past the values just written, so they're never handed out again
+    const tableSchema = this.schema[tableName];
+    for (const colDef of columnDefs.filter(col => col.autoIncrement)) {
+      for (const row of rows) {
+        const numericValue = Number(row[colDef.name]);
+        if (row[colDef.name] !== null && Number.isFinite(numericValue)) {
+          if (!tableSchema.autoIncrementCounters) tableSchema.autoIncrementCounters = {};
+          const current = tableSchema.autoIncrementCounters[colDef.name] || 0;
+          tableSchema.autoIncrementCounters[colDef.name] = Math.max(current, numericValue);
+        }
+      }
+    }
   }
 
+
   execute() {
     // Route to appropriate execution method based on statement type
     if (this.ast.type === 'Query') {
       return this.executeQuery();
+    } else if (this.ast.type === 'SetOperation') {
+      return this.executeSetOperation();
+    } else if (this.ast.type === 'With') {
+      return this.executeWith();
     } else if (this.ast.type === 'CreateTable') {
       return this.executeCreateTable();
     } else if (this.ast.type === 'AlterTable') {
@@ -97,9 +143,11 @@ export class Executor {
     // Step 1: Build initial rowset from FROM table
     let rowset = this.buildFromRowset();
 
-    // Step 2: Apply JOIN if present
-    if (this.ast.join) {
-      rowset = this.applyJoin(rowset);
+    // Step 2: Apply each JOIN in order, left to right
+    const joinedTables = [this.ast.from];
+    for (const join of this.ast.joins) {
+      rowset = this.applyJoin(rowset, join, joinedTables);
+      joinedTables.push(join.table);
     }
 
     // Step 3: Apply WHERE filter
@@ -108,15 +156,13 @@ export class Executor {
     }
 
     // Step 4: Check if query has aggregates
-    const hasAggregates = this.ast.select.items.some(
-      item => item.type === 'AggregateFunction'
-    );
+    const hasAggregates = this.ast.select.items.some(item => containsAggregate(item));
 
-    // Step 5: Apply GROUP BY if present, or create single group for aggregates without GROUP BY
+    // Step 5: Apply GROUP BY if present, or create single group for aggregates (or HAVING) without GROUP BY
     let groupedData = null;
     if (this.ast.groupBy) {
       groupedData = this.applyGroupBy(rowset);
-    } else if (hasAggregates) {
+    } else if (hasAggregates || this.ast.having) {
       // Aggregates without GROUP BY - treat entire rowset as one group
       groupedData = new Map();
       groupedData.set('_all', {
@@ -125,28 +171,148 @@ export class Executor {
       });
     }
 
+    // Step 5.5: Apply HAVING to filter whole groups
+    if (this.ast.having) {
+      groupedData = this.applyHaving(groupedData);
+    }
+
+    // Step 5.75: Work out window functions over the rows (or groups) that will be selected
+    this.windowValues = this.computeWindowFunctions(
+      groupedData ? [...groupedData.values()] : rowset,
+      Boolean(groupedData)
+    );
+
     // Step 6: Apply SELECT projection
     const selection = groupedData 
       ? this.applySelectWithGroupBy(groupedData)
       : this.applySelect(rowset);
 
-    let { columns, rows } = selection;
+    const { columns, rows } = selection;
 
-    // Step 6.5: Apply DISTINCT if requested
+    // Step 7: Apply ORDER BY, evaluated against the row or group behind each result row
+    let orderedRows = rows;
+    if (this.ast.orderBy) {
+      orderedRows = this.applyOrderBy(rows, selection.sources, Boolean(groupedData));
+    }
+
+    // Step 7.5: Apply DISTINCT if requested (after sorting, so the first of each duplicate is kept)
     if (this.ast.select.distinct) {
-      rows = this.applyDistinct(rows);
+      orderedRows = this.applyDistinct(orderedRows);
     }
 
-    // Step 7: Apply ORDER BY
-    let orderedRows = rows;
+    // Step 8: Apply LIMIT / OFFSET
+    return this.buildQueryResult(columns, orderedRows);
+  }
+
+  executeSetOperation() {
+    // Run both sides as queries of their own, then combine their rows
+    const [left, right] = [this.ast.left, this.ast.right].map(member => this.runMember(member));
+
+    let rows = this.applySetOperator(left.rows, right.rows);
+
+    // ORDER BY sorts the combined rows on the result columns the validator resolved
     if (this.ast.orderBy) {
-      orderedRows = this.applyOrderBy(rows, columns, rowset);
+      const { items } = this.ast.orderBy;
+      const keys = rows.map(row => items.map(item => row[item.columnIndex] ?? null));
+      rows = sortByKeys(rows, keys, items);
+    }
+
+    return this.buildQueryResult(left.columns, rows);
+  }
+
+  executeWith() {
+    // Run each CTE in turn; its rows become a table for the CTEs after it and the main query
+    const data = { ...this.data };
+    for (const cte of this.ast.ctes) {
+      const columnNames = this.validator.cteSchema[cte.name].columns.map(col => col.name);
+      const rows = cte.recursive
+        ? this.runRecursiveCte(cte, columnNames, data)
+        : this.runMember(cte.query, data).rows;
+      data[cte.name] = rowsToObjects(columnNames, rows);
+    }
+
+    return this.runMember(this.ast.query, data);
+  }
+
+  runRecursiveCte(cte, columnNames, data) {
+    // Start with the rows of the first SELECT, then run the recursive SELECT against the rows
+    // the previous round added until a round adds none. UNION (without ALL) skips rows
+    // already found, which also stops it going round a loop forever
+    const { left, right, all } = cte.query;
+    const seen = new Set();
+    const isNew = row => {
+      const key = JSON.stringify(row);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    };
+
+    const found = this.runMember(left, data).rows.filter(row => all || isNew(row));
+    let latest = found;
+
+    for (let round = 1; latest.length > 0; round++) {
+      if (round > RECURSION_ROUND_LIMIT || found.length > RECURSION_ROW_LIMIT) {
+        throw createRecursionLimitError(cte.name, round - 1, found.length, cte.position);
+      }
+      const { rows } = this.runMember(right, { ...data, [cte.name]: rowsToObjects(columnNames, latest) });
+      latest = rows.filter(row => all || isNew(row));
+      found.push(...latest);
+    }
+
+    return found;
+  }
+
+  runMember(query, data = this.data) {
+    // Run a query that was validated as part of this one (see Validator.validateMember)
+    return new Executor(
+      query,
+      data,
+      this.validator.subqueryValidators.get(query),
+      this.schema,
+      this.outerRow
+    ).execute();
+  }
+
+  applySetOperator(leftRows, rightRows) {
+    // Rows match when every value is the same, NULLs included. Without ALL the result has
+    // no duplicates; with ALL, INTERSECT and EXCEPT match rows one for one
+    const { operator, all } = this.ast;
+
+    if (operator === 'UNION') {
+      const combined = [...leftRows, ...rightRows];
+      return all ? combined : this.applyDistinct(combined);
+    }
+
+    const rightCounts = new Map();
+    for (const row of rightRows) {
+      const key = JSON.stringify(row);
+      rightCounts.set(key, (rightCounts.get(key) || 0) + 1);
     }
 
-    // Step 8: Apply LIMIT
-    let finalRows = orderedRows;
+    const kept = leftRows.filter(row => {
+      const key = JSON.stringify(row);
+      const matches = rightCounts.get(key) || 0;
+      if (all && matches > 0) {
+        rightCounts.set(key, matches - 1);
+      }
+      return operator === 'INTERSECT' ? matches > 0 : matches === 0;
+    });
+
+    return all ? kept : this.applyDistinct(kept);
+  }
+
+  buildQueryResult(columns, rows) {
+    // Apply LIMIT / OFFSET, keeping a note of which rows of the full result were returned
+    let finalRows = rows;
+    let shown = null;
     if (this.ast.limit) {
-      finalRows = orderedRows.slice(0, this.ast.limit.value);
+      const { value, offset } = this.ast.limit;
+      finalRows = rows.slice(offset, value === null ? undefined : offset + value);
+      shown = {
+        first: offset + 1,
+        last: offset + finalRows.length,
+        totalRows: rows.length,
+      };
     }
 
     return {
@@ -154,6 +320,7 @@ export class Executor {
       rows: finalRows,
       meta: {
         rowCount: finalRows.length,
+        window: shown,
         warnings: [],
         steps: [],
       },
@@ -161,27 +328,43 @@ export class Executor {
   }
 
   buildFromRowset() {
-    const tableName = this.ast.from.name;
-    const tableData = this.data[tableName] || [];
+    const rowKey = this.ast.from.alias || this.ast.from.name;
+    const tableData = this.getTableRefRows(this.ast.from);
     
     return tableData.map(row => ({
-      [tableName]: { ...row },
+      [rowKey]: { ...row },
     }));
   }
 
-  applyJoin(leftRowset) {
-    const rightTableName = this.ast.join.table;
-    const rightTableData = this.data[rightTableName] || [];
-    const joinCondition = this.ast.join.on;
+  getTableRefRows(tableRef) {
+    if (tableRef.type !== 'DerivedTable') {
+      return this.data[tableRef.name] || [];
+    }
+
+    // Run the derived table's query and turn each result row into a row object
+    const columnNames = this.validator.scopeColumns[tableRef.alias].map(col => col.name);
+    const { rows } = this.runSubquery(tableRef.query, {});
+    return rowsToObjects(columnNames, rows);
+  }
+
+  applyJoin(leftRowset, join, leftTables) {
+    // Rows are keyed by alias when one is given, so a table can be joined to itself
+    const rightRowKey = join.table.alias || join.table.name;
+    const rightTableData = this.getTableRefRows(join.table);
+    const joinCondition = join.on;
+    const joinType = join.joinType || 'INNER';
 
     const result = [];
+    const matchedRightRows = new Set();
 
     for (const leftRow of leftRowset) {
+      let leftMatched = false;
+
       for (const rightRow of rightTableData) {
         // Create merged combined row
         const combinedRow = {
           ...leftRow,
-          [rightTableName]: { ...rightRow },
+          [rightRowKey]: { ...rightRow },
         };
 
         // Evaluate join condition
@@ -189,29 +372,124 @@ export class Executor {
         const rightValue = this.evalOperand(joinCondition.right, combinedRow);
         const operator = joinCondition.operator || '=';
 
-        if (this.compareValues(leftValue, rightValue, operator)) {
+        // UNKNOWN (a NULL key) never matches, just like FALSE
+        if (this.compareValues(leftValue, rightValue, operator) === true) {
           result.push(combinedRow);
+          leftMatched = true;
+          matchedRightRows.add(rightRow);
         }
       }
+
+      // LEFT/FULL: keep unmatched left rows, padding the right table with NULLs
+      if (!leftMatched && (joinType === 'LEFT' || joinType === 'FULL')) {
+        result.push({
+          ...leftRow,
+          [rightRowKey]: this.buildNullRow(join.table),
+        });
+      }
+    }
+
+    // RIGHT/FULL: add right rows that never matched, padding the left side with NULLs
+    if (joinType === 'RIGHT' || joinType === 'FULL') {
+      for (const rightRow of rightTableData) {
+        if (matchedRightRows.has(rightRow)) continue;
+
+        const combinedRow = {};
+        for (const leftTable of leftTables) {
+          combinedRow[leftTable.alias || leftTable.name] = this.buildNullRow(leftTable);
+        }
+        combinedRow[rightRowKey] = { ...rightRow };
+        result.push(combinedRow);
+      }
     }
 
     return result;
   }
 
+  buildNullRow(tableRef) {
+    // A row of NULLs for every column, used to pad the missing side of an outer join
+    const nullRow = {};
+    for (const col of this.validator.scopeColumns[tableRef.alias || tableRef.name]) {
+      nullRow[col.name] = null;
+    }
+    return nullRow;
+  }
+
   applyWhere(rowset) {
-    return rowset.filter(row => {
-      // All comparisons must be true (AND logic)
-      for (const comparison of this.ast.where.and) {
-        const leftValue = this.evalOperand(comparison.left, row);
-        const rightValue = this.evalOperand(comparison.right, row);
-        const operator = comparison.operator || '=';
-
-        if (!this.compareValues(leftValue, rightValue, operator)) {
-          return false;
+    // Only rows where the condition is TRUE survive; FALSE and UNKNOWN (null) are dropped
+    return rowset.filter(row => this.evalCondition(this.ast.where.condition, row) === true);
+  }
+
+  evalCondition(condition, combinedRow, evalOperand = (operand, row) => this.evalOperand(operand, row)) {
+    // Walk the AND/OR/NOT tree using SQL three-valued logic:
+    // every result is true, false, or null (UNKNOWN, e.g. any comparison with NULL)
+    switch (condition.type) {
+      case 'Logical': {
+        const left = this.evalCondition(condition.left, combinedRow, evalOperand);
+        if (condition.operator === 'AND') {
+          if (left === false) return false;
+          const right = this.evalCondition(condition.right, combinedRow, evalOperand);
+          if (right === false) return false;
+          return left === null || right === null ? null : true;
         }
+        if (left === true) return true;
+        const right = this.evalCondition(condition.right, combinedRow, evalOperand);
+        if (right === true) return true;
+        return left === null || right === null ? null : false;
       }
-      return true;
-    });
+
+      case 'Not': {
+        const value = this.evalCondition(condition.operand, combinedRow, evalOperand);
+        return value === null ? null : !value;
+      }
+
+      case 'Comparison': {
+        const leftValue = evalOperand(condition.left, combinedRow);
+        const rightValue = evalOperand(condition.right, combinedRow);
+        return this.compareValues(leftValue, rightValue, condition.operator || '=', condition.comparesDates);
+      }
+
+      case 'InList': {
+        const value = evalOperand(condition.operand, combinedRow);
+        const listValues = condition.values.map(item => evalOperand(item, combinedRow));
+        const isIn = this.compareValues(value, listValues, 'IN', condition.comparesDates);
+        return condition.negated && isIn !== null ? !isIn : isIn;
+      }
+
+      case 'Between': {
+        const value = evalOperand(condition.operand, combinedRow);
+        const bounds = [
+          evalOperand(condition.low, combinedRow),
+          evalOperand(condition.high, combinedRow),
+        ];
+        const isBetween = this.compareValues(value, bounds, 'BETWEEN', condition.comparesDates);
+        return condition.negated && isBetween !== null ? !isBetween : isBetween;
+      }
+
+      case 'InSubquery': {
+        const value = evalOperand(condition.operand, combinedRow);
+        const { rows } = this.runSubquery(condition.query, combinedRow);
+        const isIn = this.compareValues(value, rows.map(row => row[0]), 'IN');
+        return condition.negated && isIn !== null ? !isIn : isIn;
+      }
+
+      case 'Exists':
+        // EXISTS is never UNKNOWN: the subquery either returns rows or it doesn't
+        return this.runSubquery(condition.query, combinedRow).rows.length > 0;
+
+      case 'IsNull': {
+        // IS [NOT] NULL is the only test that is never UNKNOWN
+        const value = evalOperand(condition.operand, combinedRow);
+        const isNull = value === null || value === undefined;
+        return condition.negated ? !isNull : isNull;
+      }
+
+      case 'Literal':
+        return condition.value === true;
+
+      default:
+        throw new Error(`Unknown condition type: ${condition.type}`);
+    }
   }
 
   applyGroupBy(rowset) {
@@ -219,12 +497,9 @@ export class Executor {
     const groups = new Map();
 
     for (const row of rowset) {
-      // Build group key from GROUP BY columns
-      const keyParts = this.ast.groupBy.columns.map(colRef => {
-        const tableName = colRef.table || colRef.resolvedTable;
-        return String(row[tableName][colRef.column]);
-      });
-      const groupKey = keyParts.join('|');
+      // Build group key from GROUP BY expressions
+      const keyParts = this.ast.groupBy.expressions.map(expression => this.evalOperand(expression, row) ?? null);
+      const groupKey = JSON.stringify(keyParts);
 
       if (!groups.has(groupKey)) {
         groups.set(groupKey, {
@@ -239,122 +514,185 @@ export class Executor {
     return groups;
   }
 
+  applyHaving(groupedData) {
+    const filtered = new Map();
+
+    for (const [groupKey, groupData] of groupedData) {
+      const keep = this.evalCondition(
+        this.ast.having.condition,
+        groupData,
+        (operand, group) => this.evalGroupOperand(operand, group)
+      );
+      if (keep === true) {
+        filtered.set(groupKey, groupData);
+      }
+    }
+
+    return filtered;
+  }
+
+  evalGroupOperand(operand, groupData) {
+    // Aggregates are computed over the group's rows; grouped columns come from its first row
+    if (operand.type === 'AggregateFunction') {
+      return this.computeAggregate(operand, groupData.rows);
+    }
+
+    if (operand.type === 'Case') {
+      return this.evalCase(operand, groupData, (inner, group) => this.evalGroupOperand(inner, group));
+    }
+
+    if (operand.type === 'Arithmetic' || operand.type === 'Negate') {
+      return this.evalArithmetic(operand, groupData, (inner, group) => this.evalGroupOperand(inner, group));
+    }
+
+    if (operand.type === 'FunctionCall') {
+      return this.evalFunctionCall(operand, groupData, (inner, group) => this.evalGroupOperand(inner, group));
+    }
+
+    if (operand.type === 'Concat') {
+      return this.evalConcat(operand, groupData, (inner, group) => this.evalGroupOperand(inner, group));
+    }
+
+    if (operand.type === 'WindowFunction') {
+      return this.getWindowValue(operand, groupData);
+    }
+
+    return this.evalOperand(operand, groupData.firstRow);
+  }
+
   applySelectWithGroupBy(groupedData) {
     // Build columns and rows from grouped data
-    const columns = [];
-    const rows = [];
-
-    // Determine column names and what to compute
-    for (const item of this.ast.select.items) {
-      if (item.type === 'ColumnRef') {
-        // Check if there's an alias
-        if (item.alias) {
-          columns.push(item.alias);
-        } else {
-          const tableName = item.table || item.resolvedTable;
-          if (this.validator.tablesInScope.length > 1 && !item.table) {
-            columns.push(`${tableName}.${item.column}`);
-          } else if (item.table) {
-            columns.push(`${item.table}.${item.column}`);
-          } else {
-            columns.push(item.column);
-          }
-        }
-      } else if (item.type === 'AggregateFunction') {
-        // Check if there's an alias
-        if (item.alias) {
-          columns.push(item.alias);
-        } else {
-          // Build aggregate column name
-          if (item.argument.type === 'Star') {
-            columns.push(`${item.function}(*)`);
-          } else {
-            const argCol = item.argument.column;
-            columns.push(`${item.function}(${argCol})`);
-          }
-        }
+    const columns = this.ast.select.items.map(item => this.getSelectItemName(item));
+    const sources = [...groupedData.values()];
+
+    // Build rows from each group: aggregates over the group, other values from its first row
+    const rows = sources.map(groupData =>
+      this.ast.select.items.map(item => this.evalGroupOperand(item, groupData))
+    );
+
+    return { columns, rows, sources };
+  }
+
+  getSelectItemName(item) {
+    // Check if there's an alias
+    if (item.alias) {
+      return item.alias;
+    }
+
+    if (item.type === 'ColumnRef') {
+      const tableName = item.table || item.resolvedTable;
+      if (this.validator.tablesInScope.length > 1 && !item.table) {
+        // For unqualified columns in multi-table query, show table.column if helpful
+        return `${tableName}.${item.column}`;
+      } else if (item.table) {
+        return `${item.table}.${item.column}`;
       }
+      return item.column;
     }
 
-    // Build rows from each group
-    for (const [groupKey, groupData] of groupedData) {
-      const row = [];
-
-      for (const item of this.ast.select.items) {
-        if (item.type === 'ColumnRef') {
-          // Get column value from first row in group
-          const tableName = item.table || item.resolvedTable;
-          row.push(groupData.firstRow[tableName][item.column]);
-        } else if (item.type === 'AggregateFunction') {
-          // Compute aggregate
-          const value = this.computeAggregate(item, groupData.rows);
-          row.push(value);
-        }
+    if (item.type === 'AggregateFunction') {
+      // Build aggregate column name
+      if (item.argument.type === 'Star') {
+        return `${item.function}(*)`;
       }
+      const argument = item.argument.type === 'ColumnRef'
+        ? item.argument.column
+        : this.validator.describeOperand(item.argument);
+      return `${item.function}(${item.distinct ? 'DISTINCT ' : ''}${argument})`;
+    }
 
-      rows.push(row);
+    if (item.type === 'Subquery') {
+      return '(subquery)';
     }
 
-    return { columns, rows };
+    if (item.type === 'Case') {
+      return 'CASE';
+    }
+
+    if (['Arithmetic', 'Negate', 'Concat', 'FunctionCall', 'Literal', 'WindowFunction'].includes(item.type)) {
+      // Show the expression as written, e.g. score * 1.1
+      return this.validator.describeOperand(item);
+    }
+
+    return '?';
   }
 
   computeAggregate(aggFunc, rows) {
-    const funcName = aggFunc.function;
-    
-    if (funcName === 'COUNT') {
-      if (aggFunc.argument.type === 'Star') {
-        // COUNT(*) - count all rows
-        return rows.length;
-      } else {
-        // COUNT(column) - count non-null values
-        const colRef = aggFunc.argument;
-        const tableName = colRef.table || colRef.resolvedTable;
-        let count = 0;
-        for (const row of rows) {
-          const value = row[tableName][colRef.column];
-          if (value !== null && value !== undefined) {
-            count++;
-          }
-        }
-        return count;
-      }
+    if (aggFunc.function === 'COUNT' && aggFunc.argument.type === 'Star') {
+      // COUNT(*) - count all rows
+      return rows.length;
     }
-    
-    // For SUM, AVG, MIN, MAX - need to extract values from the column
-    const colRef = aggFunc.argument;
-    const tableName = colRef.table || colRef.resolvedTable;
-    const values = [];
-    
-    for (const row of rows) {
-      const value = row[tableName][colRef.column];
-      if (value !== null && value !== undefined && typeof value === 'number') {
-        values.push(value);
+
+    const values = rows.map(row => this.evalOperand(aggFunc.argument, row));
+    return aggregateValues(aggFunc.function, values, aggFunc.distinct);
+  }
+
+  computeWindowFunctions(sources, grouped) {
+    // Window functions in SELECT and ORDER BY are worked out for every row (or group) before
+    // the SELECT list, because each value depends on the other rows in its partition.
+    // Returns each function's value for each source
+    const evaluate = (expression, source) => (grouped
+      ? this.evalGroupOperand(expression, source)
+      : this.evalOperand(expression, source)
+    ) ?? null;
+    const windowValues = new Map();
+
+    const windowFunctions = collectWindowFunctions([
+      this.ast.select.items,
+      (this.ast.orderBy?.items || []).map(item => item.expression),
+    ]);
+
+    for (const windowFunction of windowFunctions) {
+      const values = new Map();
+      windowValues.set(windowFunction, values);
+
+      // Split the rows into partitions with the same PARTITION BY values
+      const partitions = new Map();
+      for (const source of sources) {
+        const key = JSON.stringify(windowFunction.partitionBy.map(expression => evaluate(expression, source)));
+        if (!partitions.has(key)) partitions.set(key, []);
+        partitions.get(key).push(source);
+      }
+
+      for (const partition of partitions.values()) {
+        // Sort the partition on the window's ORDER BY; rows that tie on every key are peers
+        const { orderBy } = windowFunction;
+        const keys = partition.map(source => orderBy.map(item => evaluate(item.expression, source)));
+        const order = sortByKeys(partition.map((_, index) => index), keys, orderBy);
+
+        let peer = 0;
+        const entries = order.map((index, position) => {
+          const previous = order[position - 1];
+          if (position > 0 && orderBy.some((item, k) => compareSortKeys(keys[index][k], keys[previous][k], item) !== 0)) {
+            peer++;
+          }
+          const source = partition[index];
+          return {
+            source,
+            peer,
+            args: windowFunction.args.map(arg => (arg.type === 'Star' ? true : evaluate(arg, source))),
+          };
+        });
+
+        const results = Object.hasOwn(WINDOW_FUNCTIONS, windowFunction.function)
+          ? WINDOW_FUNCTIONS[windowFunction.function].evaluate(entries)
+          : windowAggregates(windowFunction.function, entries);
+        entries.forEach((entry, index) => values.set(entry.source, results[index]));
       }
     }
-    
-    if (values.length === 0) {
-      return null; // No valid values
-    }
-    
-    switch (funcName) {
-      case 'SUM':
-        return values.reduce((sum, val) => sum + val, 0);
-      
-      case 'AVG':
-        const sum = values.reduce((s, val) => s + val, 0);
-        return Math.round((sum / values.length) * 100) / 100; // Round to 2 decimal places
-      
-      case 'MIN':
-        return Math.min(...values);
-      
-      case 'MAX':
-        return Math.max(...values);
-      
-      default:
-        return 0;
+
+    return windowValues;
+  }
+
+  getWindowValue(windowFunction, source) {
+    const values = this.windowValues?.get(windowFunction);
+    if (!values) {
+      throw createUnsupportedFeatureError('window functions outside SELECT and ORDER BY', windowFunction.position);
     }
+    return values.get(source) ?? null;
   }
 
+
   applySelect(rowset) {
     if (this.ast.select.star) {
       // SELECT *
@@ -365,38 +703,17 @@ export class Executor {
         return starColumns.map(c => combinedRow[c.table][c.column]);
       });
 
-      return { columns, rows };
+      return { columns, rows, sources: rowset };
     } else {
       // SELECT specific columns
-      const columns = [];
-      const columnRefs = this.ast.select.items;
-
-      // Build display names for columns
-      for (const colRef of columnRefs) {
-        // Check if there's an alias
-        if (colRef.alias) {
-          columns.push(colRef.alias);
-        } else {
-          const tableName = colRef.table || colRef.resolvedTable;
-          if (this.validator.tablesInScope.length > 1 && !colRef.table) {
-            // For unqualified columns in multi-table query, show table.column if helpful
-            columns.push(`${tableName}.${colRef.column}`);
-          } else if (colRef.table) {
-            columns.push(`${colRef.table}.${colRef.column}`);
-          } else {
-            columns.push(colRef.column);
-          }
-        }
-      }
+      const items = this.ast.select.items;
+      const columns = items.map(item => this.getSelectItemName(item));
 
       const rows = rowset.map(combinedRow => {
-        return columnRefs.map(colRef => {
-          const tableName = colRef.table || colRef.resolvedTable;
-          return combinedRow[tableName][colRef.column];
-        });
+        return items.map(item => this.evalOperand(item, combinedRow));
       });
 
-      return { columns, rows };
+      return { columns, rows, sources: rowset };
     }
   }
 
@@ -415,62 +732,209 @@ export class Executor {
     return unique;
   }
 
-  applyOrderBy(rows, columns, originalRowset) {
-    const orderCol = this.ast.orderBy.column;
-    const direction = this.ast.orderBy.direction;
-    const tableName = orderCol.table || orderCol.resolvedTable;
+  applyOrderBy(rows, sources, grouped) {
+    const { items } = this.ast.orderBy;
 
-    // Find the column index in the output
-    const colName = orderCol.table 
-      ? `${orderCol.table}.${orderCol.column}`
-      : orderCol.column;
-    
-    let colIndex = columns.findIndex(c => c === colName);
-    
-    // If not found, try alternative formats
-    if (colIndex === -1) {
-      colIndex = columns.findIndex(c => 
-        c === orderCol.column || 
-        c === `${tableName}.${orderCol.column}`
-      );
+    // Compute each row's sort keys from the row (or group) that produced it
+    const keys = sources.map(source => items.map(({ expression }) => (grouped
+      ? this.evalGroupOperand(expression, source)
+      : this.evalOperand(expression, source)
+    ) ?? null));
+
+    return sortByKeys(rows, keys, items);
+  }
+
+
+  evalOperand(operand, combinedRow) {
+    if (operand.type === 'Literal') {
+      return operand.value;
     }
 
-    if (colIndex === -1) {
-      // This shouldn't happen after validation, but handle gracefully
-      return rows;
+    if (operand.type === 'ColumnRef') {
+      const tableName = operand.table || operand.resolvedTable;
+      // Tables not in this row belong to an enclosing query (a correlated reference)
+      const tableRow = tableName in combinedRow ? combinedRow[tableName] : this.outerRow[tableName];
+      return tableRow ? tableRow[operand.column] : null;
     }
 
-    const sorted = [...rows].sort((a, b) => {
-      const aVal = a[colIndex];
-      const bVal = b[colIndex];
+    if (operand.type === 'Subquery') {
+      const { rows } = this.runSubquery(operand.query, combinedRow);
+      if (rows.length > 1) {
+        throw new SqlError(
+          ErrorCodes.INVALID_QUERY,
+          `A subquery used as a single value returned ${rows.length} rows. Tip: add a WHERE, an aggregate such as MAX(), or LIMIT 1 so it returns at most one row.`,
+          operand.position
+        );
+      }
+      // No rows means NULL
+      return rows.length === 1 ? rows[0][0] : null;
+    }
+
+    if (operand.type === 'Case') {
+      return this.evalCase(operand, combinedRow, (inner, row) => this.evalOperand(inner, row));
+    }
+
+    if (operand.type === 'Arithmetic' || operand.type === 'Negate') {
+      return this.evalArithmetic(operand, combinedRow, (inner, row) => this.evalOperand(inner, row));
+    }
+
+    if (operand.type === 'FunctionCall') {
+      return this.evalFunctionCall(operand, combinedRow, (inner, row) => this.evalOperand(inner, row));
+    }
+
+    if (operand.type === 'Concat') {
+      return this.evalConcat(operand, combinedRow, (inner, row) => this.evalOperand(inner, row));
+    }
+
+    if (operand.type === 'WindowFunction') {
+      return this.getWindowValue(operand, combinedRow);
+    }
 
-      let comparison = 0;
-      if (aVal < bVal) comparison = -1;
-      else if (aVal > bVal) comparison = 1;
+    return null;
+  }
+
+  evalFunctionCall(call, row, evalOperand) {
+    const fn = resolveFunctionCall(call);
+    const values = call.args.map(arg => evalOperand(arg, row) ?? null);
 
-      return direction === 'DESC' ? -comparison : comparison;
+    // Most functions give NULL for any NULL argument
+    if (!fn.handlesNull && values.includes(null)) {
+      return null;
+    }
+
+    // The validator can't know every argument's type before running, so check each
+    // value against the function's parameters too
+    values.forEach((value, index) => {
+      const expectedType = getParamType(fn, index);
+      if (value !== null && !acceptsArgumentValue(expectedType, value)) {
+        throw createTypeMismatchError(
+          `${call.name}() needs a ${expectedType} as argument ${index + 1}, but got the ${typeof value} ${JSON.stringify(value)}`,
+          call.args[index].position,
+          `write it as ${fn.usage}`
+        );
+      }
     });
 
-    return sorted;
+    return fn.evaluate(...values);
   }
 
-  evalOperand(operand, combinedRow) {
-    if (operand.type === 'Literal') {
-      return operand.value;
+  evalConcat(expression, row, evalOperand) {
+    const left = evalOperand(expression.left, row);
+    const right = evalOperand(expression.right, row);
+
+    // Like arithmetic, || with NULL gives NULL (CONCAT() skips NULLs instead)
+    if (left === null || left === undefined || right === null || right === undefined) {
+      return null;
     }
+    return String(left) + String(right);
+  }
 
-    if (operand.type === 'ColumnRef') {
-      const tableName = operand.table || operand.resolvedTable;
-      return combinedRow[tableName][operand.column];
+  evalArithmetic(expression, row, evalOperand) {
+    const operands = expression.type === 'Negate'
+      ? [expression.operand]
+      : [expression.left, expression.right];
+    const operator = expression.type === 'Negate' ? '-' : expression.operator;
+
+    const values = operands.map(operand => evalOperand(operand, row));
+
+    // Any NULL makes the whole result NULL
+    if (values.some(value => value === null || value === undefined)) {
+      return null;
     }
 
-    return null;
+    // An operand whose type was unknown before running may still turn out to be text
+    const notNumber = values.find(value => typeof value !== 'number');
+    if (notNumber !== undefined) {
+      throw createTypeMismatchError(
+        `'${operator}' needs numbers, but got the ${typeof notNumber} ${JSON.stringify(notNumber)}`,
+        expression.position,
+        'use || or CONCAT() to join text'
+      );
+    }
+
+    if (expression.type === 'Negate') {
+      return -values[0];
+    }
+
+    const [left, right] = values;
+    if ((operator === '/' || operator === '%') && right === 0) {
+      throw new SqlError(
+        ErrorCodes.INVALID_QUERY,
+        `Division by zero. Tip: use CASE or a WHERE condition to skip rows where the divisor is 0.`,
+        expression.position
+      );
+    }
+
+    let result;
+    switch (operator) {
+      case '+': result = left + right; break;
+      case '-': result = left - right; break;
+      case '*': result = left * right; break;
+      case '/': result = left / right; break;
+      case '%': result = left % right; break;
+      default:
+        throw new Error(`Unknown arithmetic operator: ${operator}`);
+    }
+
+    // Hide floating point noise, so 75 * 1.1 shows as 82.5 rather than 82.50000000000001
+    return Number(result.toPrecision(12));
   }
 
-  compareValues(left, right, operator = '=') {
-    // Handle null/undefined
+  evalCase(caseExpr, row, evalOperand) {
+    // The first WHEN whose condition is TRUE wins; UNKNOWN counts as not matching
+    for (const { condition, result } of caseExpr.whens) {
+      if (this.evalCondition(condition, row, evalOperand) === true) {
+        return evalOperand(result, row);
+      }
+    }
+
+    return caseExpr.else ? evalOperand(caseExpr.else, row) : null;
+  }
+
+  runSubquery(query, combinedRow) {
+    // Run the subquery with the same data; the current row is visible to it as the outer row
+    const subValidator = this.validator.subqueryValidators.get(query);
+    const subExecutor = new Executor(query, this.data, subValidator, this.schema, {
+      ...this.outerRow,
+      ...combinedRow,
+    });
+    return subExecutor.execute();
+  }
+
+  compareValues(left, right, operator = '=', comparesDates = false) {
+    // Returns true, false, or null (UNKNOWN) when a NULL makes the answer unknowable
+
+    // IN: true on any match; otherwise UNKNOWN if a NULL was involved, else false
+    if (operator === 'IN') {
+      if (left === null || left === undefined) return null;
+      let sawUnknown = false;
+      for (const candidate of right) {
+        const result = this.compareValues(left, candidate, '=', comparesDates);
+        if (result === true) return true;
+        if (result === null) sawUnknown = true;
+      }
+      return sawUnknown ? null : false;
+    }
+
+    // BETWEEN: right is [low, high], both inclusive
+    if (operator === 'BETWEEN') {
+      const [low, high] = right;
+      const aboveLow = this.compareValues(left, low, '>=', comparesDates);
+      const belowHigh = this.compareValues(left, high, '<=', comparesDates);
+      if (aboveLow === false || belowHigh === false) return false;
+      return aboveLow === null || belowHigh === null ? null : true;
+    }
+
+    // Any comparison involving NULL is UNKNOWN - use IS NULL to test for NULL
     if (left === null || left === undefined || right === null || right === undefined) {
-      return false;
+      return null;
+    }
+
+    // Compared with a date, text such as '2024-10-05T09:10' is read as a date too; both sides
+    // become DATETIMEs so a DATE is midnight on its day
+    if (comparesDates) {
+      left = parseDateValue(left, 'datetime') ?? left;
+      right = parseDateValue(right, 'datetime') ?? right;
     }
 
     // Handle LIKE operator
@@ -576,7 +1040,7 @@ export class Executor {
     }
     
     // Check if it's a protected table
-    const protectedTables = ['students', 'tutor_groups', 'grades'];
+    const protectedTables = ['students', 'tutor_groups', 'grades', 'attendance', 'submissions', 'modules'];
     if (protectedTables.includes(tableName)) {
       throw new Error(`Cannot alter protected table '${tableName}'`);
     }
@@ -600,14 +1064,16 @@ export class Executor {
       isPrimaryKey: Boolean(column.isPrimaryKey),
     };
 
+    // Check the primary key before changing anything
+    if (normalizedColumn.isPrimaryKey && this.schema[tableName].primaryKey) {
+      throw new Error(`Table '${tableName}' already has a primary key '${this.schema[tableName].primaryKey}'`);
+    }
+
     // Add column to schema
     this.schema[tableName].columns.push(normalizedColumn);
 
     // Update primary key if provided
     if (normalizedColumn.isPrimaryKey) {
-      if (this.schema[tableName].primaryKey) {
-        throw new Error(`Table '${tableName}' already has a primary key '${this.schema[tableName].primaryKey}'`);
-      }
       this.schema[tableName].primaryKey = normalizedColumn.name;
     }
 
@@ -617,6 +1083,7 @@ export class Executor {
         ? this.getNextAutoIncrementValue(tableName, normalizedColumn.name)
         : null;
     }
+    this.recordAutoIncrementValues(tableName, [normalizedColumn], tableData);
 
     return {
       columns: ['Result'],
@@ -638,7 +1105,7 @@ export class Executor {
     }
     
     // Check if it's a protected table
-    const protectedTables = ['students', 'tutor_groups', 'grades'];
+    const protectedTables = ['students', 'tutor_groups', 'grades', 'attendance', 'submissions', 'modules'];
     if (protectedTables.includes(tableName)) {
       throw new Error(`Cannot drop protected table '${tableName}'`);
     }
@@ -661,7 +1128,7 @@ export class Executor {
   }
 
   executeInsert() {
-    const { tableName, columns, values } = this.ast;
+    const { tableName, columns, rows, query } = this.ast;
     
     // Check if table exists
     if (!this.schema[tableName]) {
@@ -669,7 +1136,7 @@ export class Executor {
     }
     
     // Check if it's a protected table
-    const protectedTables = ['students', 'tutor_groups', 'grades'];
+    const protectedTables = ['students', 'tutor_groups', 'grades', 'attendance', 'submissions', 'modules'];
     if (protectedTables.includes(tableName)) {
       throw new Error(`Cannot insert into protected table '${tableName}'`);
     }
@@ -686,82 +1153,106 @@ export class Executor {
       }
     }
 
-    // Validate value count matches column count
-    if (columns.length !== values.length) {
-      throw new Error(`Column count (${columns.length}) does not match value count (${values.length})`);
+    // The values come from the VALUES lists, or from running the SELECT
+    const valueRows = query
+      ? this.runInsertQuery(query, columns.length)
+      : rows.map(values => values.map(value => this.getLiteralValue(value)));
+
+    // Build and check every new row before inserting any, so one bad row leaves the table unchanged
+    const newRows = [];
+    valueRows.forEach((values, index) => {
+      // Say which row was wrong when there are several
+      const rowLabel = valueRows.length > 1 ? ` (row ${index + 1})` : '';
+
+      // Validate value count matches column count
+      if (columns.length !== values.length) {
+        throw new Error(`Column count (${columns.length}) does not match value count (${values.length})${rowLabel}`);
+      }
+
+      newRows.push(this.buildInsertRow(tableName, columnDefs, columns, values, newRows, rowLabel));
+    });
+
+    // Enforce primary key, against the existing rows and the other new rows
+    if (primaryKey) {
+      const taken = new Set((this.data[tableName] || []).map(row => row[primaryKey]));
+      for (const newRow of newRows) {
+        const pkValue = newRow[primaryKey];
+        if (pkValue === null || pkValue === undefined) {
+          throw new Error(`Primary key '${primaryKey}' cannot be NULL`);
+        }
+        if (taken.has(pkValue)) {
+          throw new Error(`Duplicate primary key value '${pkValue}' for '${primaryKey}'`);
+        }
+        taken.add(pkValue);
+      }
+    }
+
+    // Insert the rows; nothing has changed until every check above has passed
+    this.data[tableName].push(...newRows);
+    this.recordAutoIncrementValues(tableName, columnDefs, newRows);
+
+    return {
+      columns: ['Result'],
+      rows: [[`${newRows.length} row${newRows.length === 1 ? '' : 's'} inserted into '${tableName}'`]],
+      meta: {
+        rowCount: newRows.length,
+        warnings: [],
+        modified: true,
+      },
+    };
+  }
+
+  runInsertQuery(query, columnCount) {
+    // INSERT ... SELECT: run the query like any other, then use its rows as the new values
+    const validator = validate(query, this.schema);
+    const result = new Executor(query, this.data, validator, this.schema).execute();
+
+    if (result.columns.length !== columnCount) {
+      throw new Error(`INSERT lists ${columnCount} column(s), but the SELECT returns ${result.columns.length}`);
     }
+    return result.rows;
+  }
 
+  buildInsertRow(tableName, columnDefs, columns, values, stagedRows, rowLabel) {
     // Build the new row
     const newRow = {};
     for (let i = 0; i < columns.length; i++) {
       const colName = columns[i];
       const colDef = columnDefs.find(c => c.name === colName);
-      const literalValue = this.getLiteralValue(values[i]);
+      const value = this.toColumnValue(values[i], colDef.type);
 
-      if ((colDef.notNull || colDef.isPrimaryKey) && (literalValue === null || literalValue === undefined)) {
-        throw new Error(`Column '${colName}' cannot be NULL`);
+      if ((colDef.notNull || colDef.isPrimaryKey) && (value === null || value === undefined)) {
+        throw new Error(`Column '${colName}' cannot be NULL${rowLabel}`);
       }
 
-      if (!this.isTypeCompatible(literalValue, colDef.type)) {
-        throw new Error(`Value for column '${colName}' must be of type ${colDef.type}`);
+      if (!this.isTypeCompatible(value, colDef.type)) {
+        throw new Error(`Value for column '${colName}' must be of type ${colDef.type}${rowLabel}`);
       }
 
-      newRow[colName] = literalValue;
+      newRow[colName] = value;
     }
 
-    // Add null or auto-increment values for missing columns
+    // Add null or auto-increment values for missing columns; rows staged earlier in the
+    // same statement count when working out the next auto-increment value
     for (const colDef of columnDefs) {
       if (!(colDef.name in newRow)) {
         if (colDef.autoIncrement) {
-          newRow[colDef.name] = this.getNextAutoIncrementValue(tableName, colDef.name);
+          newRow[colDef.name] = this.getNextAutoIncrementValue(tableName, colDef.name, stagedRows);
         } else {
           newRow[colDef.name] = null;
         }
       }
 
       if ((colDef.notNull || colDef.isPrimaryKey) && (newRow[colDef.name] === null || newRow[colDef.name] === undefined)) {
-        throw new Error(`Column '${colDef.name}' cannot be NULL`);
+        throw new Error(`Column '${colDef.name}' cannot be NULL${rowLabel}`);
       }
 
       if (!this.isTypeCompatible(newRow[colDef.name], colDef.type)) {
-        throw new Error(`Value for column '${colDef.name}' must be of type ${colDef.type}`);
-      }
-
-      if (colDef.autoIncrement) {
-        const numericValue = Number(newRow[colDef.name]);
-        if (Number.isFinite(numericValue)) {
-          const current = tableSchema.autoIncrementCounters?.[colDef.name] || 0;
-          if (!tableSchema.autoIncrementCounters) tableSchema.autoIncrementCounters = {};
-          tableSchema.autoIncrementCounters[colDef.name] = Math.max(current, numericValue);
-        }
-      }
-    }
-
-    // Enforce primary key
-    if (primaryKey) {
-      const pkValue = newRow[primaryKey];
-      if (pkValue === null || pkValue === undefined) {
-        throw new Error(`Primary key '${primaryKey}' cannot be NULL`);
-      }
-
-      const conflict = (this.data[tableName] || []).some(row => row[primaryKey] === pkValue);
-      if (conflict) {
-        throw new Error(`Duplicate primary key value '${pkValue}' for '${primaryKey}'`);
+        throw new Error(`Value for column '${colDef.name}' must be of type ${colDef.type}${rowLabel}`);
       }
     }
 
-    // Insert the row
-    this.data[tableName].push(newRow);
-
-    return {
-      columns: ['Result'],
-      rows: [[`1 row inserted into '${tableName}'`]],
-      meta: {
-        rowCount: 1,
-        warnings: [],
-        modified: true,
-      },
-    };
+    return newRow;
   }
 
   executeUpdate() {
@@ -773,7 +1264,7 @@ export class Executor {
     }
     
     // Check if it's a protected table
-    const protectedTables = ['students', 'tutor_groups', 'grades'];
+    const protectedTables = ['students', 'tutor_groups', 'grades', 'attendance', 'submissions', 'modules'];
     if (protectedTables.includes(tableName)) {
       throw new Error(`Cannot update protected table '${tableName}'`);
     }
@@ -789,35 +1280,29 @@ export class Executor {
         throw new Error(`Column '${assignment.column}' does not exist in table '${tableName}'`);
       }
     }
+
+    // Check the SET values and WHERE condition, including any subqueries, before running them
+    this.validator = validate(this.ast, this.schema);
     
     // Get rows to update
     let rowsToUpdate = this.data[tableName] || [];
     
     // Apply WHERE filter if present
     if (where) {
-      rowsToUpdate = rowsToUpdate.filter(row => {
-        // Convert row to combined format for evaluation
-        const combinedRow = { [tableName]: row };
-        
-        for (const comparison of where.and) {
-          const leftValue = this.evalOperandForModification(comparison.left, combinedRow, tableName);
-          const rightValue = this.evalOperandForModification(comparison.right, combinedRow, tableName);
-          const operator = comparison.operator || '=';
-          
-          if (!this.compareValues(leftValue, rightValue, operator)) {
-            return false;
-          }
-        }
-        return true;
-      });
+      rowsToUpdate = rowsToUpdate.filter(row => this.matchesModificationWhere(where, row, tableName));
     }
     
-    // Update the rows
-    let updateCount = 0;
-    for (const row of rowsToUpdate) {
+    // Work out and check every row's new values before changing any, so a failure
+    // part way through leaves the table as it was
+    const changes = rowsToUpdate.map(row => {
+      const newValues = {};
       for (const assignment of assignments) {
         const colDef = columnDefs.find(c => c.name === assignment.column);
-        const newValue = this.getLiteralValue(assignment.value);
+        // Expressions see the row as it was before this UPDATE changed it
+        const newValue = this.toColumnValue(
+          this.evalOperand(assignment.value, { [tableName]: row }),
+          colDef.type
+        );
 
         if ((colDef.notNull || colDef.isPrimaryKey) && (newValue === null || newValue === undefined)) {
           throw new Error(`Column '${assignment.column}' cannot be NULL`);
@@ -827,26 +1312,30 @@ export class Executor {
           throw new Error(`Value for column '${assignment.column}' must be of type ${colDef.type}`);
         }
 
-        if (primaryKey && assignment.column === primaryKey) {
-          const conflict = this.data[tableName].some(existing => existing !== row && existing[primaryKey] === newValue);
-          if (conflict) {
-            throw new Error(`Duplicate primary key value '${newValue}' for '${primaryKey}'`);
-          }
-        }
-
-        row[assignment.column] = newValue;
+        newValues[assignment.column] = newValue;
+      }
+      return { row, newValues };
+    });
 
-        if (colDef.autoIncrement) {
-          const numericValue = Number(newValue);
-          if (Number.isFinite(numericValue)) {
-            const current = tableSchema.autoIncrementCounters?.[colDef.name] || 0;
-            if (!tableSchema.autoIncrementCounters) tableSchema.autoIncrementCounters = {};
-            tableSchema.autoIncrementCounters[colDef.name] = Math.max(current, numericValue);
-          }
+    // Primary keys must still be unique once every row has changed
+    if (primaryKey && assignments.some(assignment => assignment.column === primaryKey)) {
+      const staged = new Map(changes.map(({ row, newValues }) => [row, newValues]));
+      const seen = new Set();
+      for (const row of this.data[tableName]) {
+        const value = staged.has(row) ? staged.get(row)[primaryKey] : row[primaryKey];
+        if (seen.has(value)) {
+          throw new Error(`Duplicate primary key value '${value}' for '${primaryKey}'`);
         }
+        seen.add(value);
       }
-      updateCount++;
     }
+
+    // Update the rows
+    for (const { row, newValues } of changes) {
+      Object.assign(row, newValues);
+    }
+    this.recordAutoIncrementValues(tableName, columnDefs, changes.map(change => change.newValues));
+    const updateCount = changes.length;
     
     return {
       columns: ['Result'],
@@ -868,10 +1357,13 @@ export class Executor {
     }
     
     // Check if it's a protected table
-    const protectedTables = ['students', 'tutor_groups', 'grades'];
+    const protectedTables = ['students', 'tutor_groups', 'grades', 'attendance', 'submissions', 'modules'];
     if (protectedTables.includes(tableName)) {
       throw new Error(`Cannot delete from protected table '${tableName}'`);
     }
+
+    // Check the WHERE condition, including any subqueries, before running it
+    this.validator = validate(this.ast, this.schema);
     
     const tableData = this.data[tableName] || [];
     
@@ -895,22 +1387,7 @@ export class Executor {
     let deleteCount = 0;
     
     for (const row of tableData) {
-      // Convert row to combined format for evaluation
-      const combinedRow = { [tableName]: row };
-      
-      let shouldDelete = true;
-      for (const comparison of where.and) {
-        const leftValue = this.evalOperandForModification(comparison.left, combinedRow, tableName);
-        const rightValue = this.evalOperandForModification(comparison.right, combinedRow, tableName);
-        const operator = comparison.operator || '=';
-        
-        if (!this.compareValues(leftValue, rightValue, operator)) {
-          shouldDelete = false;
-          break;
-        }
-      }
-      
-      if (shouldDelete) {
+      if (this.matchesModificationWhere(where, row, tableName)) {
         deleteCount++;
       } else {
         rowsToKeep.push(row);
@@ -930,24 +1407,124 @@ export class Executor {
     };
   }
 
-  evalOperandForModification(operand, combinedRow, tableName) {
-    if (operand.type === 'Literal') {
-      return operand.value;
+  matchesModificationWhere(where, row, tableName) {
+    // Convert row to combined format for evaluation
+    const combinedRow = { [tableName]: row };
+    return this.evalCondition(where.condition, combinedRow) === true;
+  }
+}
+
+/**
+ * Turn result rows (arrays of values) into row objects keyed by column name, so a derived
+ * table or CTE can be read like a stored table
+ */
+function rowsToObjects(columnNames, rows) {
+  return rows.map(values => {
+    const row = {};
+    columnNames.forEach((name, index) => {
+      row[name] = values[index];
+    });
+    return row;
+  });
+}
+
+/**
+ * Work out COUNT, SUM, AVG, MIN or MAX from a list of values. NULLs are skipped,
+ * and DISTINCT uses each different value once
+ */
+function aggregateValues(funcName, values, distinct = false) {
+  values = values.filter(value => value !== null && value !== undefined);
+
+  if (funcName === 'COUNT') {
+    // COUNT(column) - count non-null values; COUNT(DISTINCT column) counts each value once
+    return distinct ? new Set(values).size : values.length;
+  }
+
+  // SUM and AVG only add up numbers; MIN and MAX also work on text and dates
+  if (funcName === 'SUM' || funcName === 'AVG') {
+    values = values.filter(value => typeof value === 'number');
+  }
+
+  // SUM(DISTINCT score) and AVG(DISTINCT score) use each different value once
+  if (distinct) {
+    values = [...new Set(values)];
+  }
+
+  if (values.length === 0) {
+    return null; // No valid values
+  }
+
+  switch (funcName) {
+    case 'SUM':
+      return values.reduce((sum, val) => sum + val, 0);
+
+    case 'AVG': {
+      const sum = values.reduce((s, val) => s + val, 0);
+      return Math.round((sum / values.length) * 100) / 100; // Round to 2 decimal places
     }
 
-    if (operand.type === 'ColumnRef') {
-      const table = operand.table || tableName;
-      return combinedRow[table][operand.column];
+    case 'MIN':
+      return values.reduce((min, val) => (val < min ? val : min));
+
+    case 'MAX':
+      return values.reduce((max, val) => (val > max ? val : max));
+
+    default:
+      return 0;
+  }
+}
+
+/**
+ * An aggregate used with OVER (...) for each row of a sorted partition. With ORDER BY it is a
+ * running total up to the current row and the rows that tie with it; without ORDER BY every
+ * row ties, so each row gets the total for the whole partition
+ */
+function windowAggregates(funcName, entries) {
+  const values = entries.map(entry => entry.args[0]);
+  return entries.map(entry => {
+    const frameEnd = entries.findLastIndex(other => other.peer === entry.peer);
+    return aggregateValues(funcName, values.slice(0, frameEnd + 1));
+  });
+}
+
+/**
+ * Sort rows on their ORDER BY keys. Later keys only break ties in earlier ones; rows that
+ * tie on every key keep their original order, so the same query always gives the same output
+ */
+function sortByKeys(rows, keys, items) {
+  const order = rows.map((_, index) => index).sort((a, b) => {
+    for (let k = 0; k < items.length; k++) {
+      const comparison = compareSortKeys(keys[a][k], keys[b][k], items[k]);
+      if (comparison !== 0) return comparison;
     }
+    return a - b;
+  });
 
-    return null;
+  return order.map(index => rows[index]);
+}
+
+/**
+ * Compare two ORDER BY values for one sort key. NULLs are the smallest value
+ * unless NULLS FIRST or NULLS LAST says where they go
+ */
+function compareSortKeys(aVal, bVal, { direction, nulls }) {
+  if (aVal === null || bVal === null) {
+    if (aVal === bVal) return 0;
+    const nullsFirst = nulls ? nulls === 'FIRST' : direction === 'ASC';
+    return (aVal === null) === nullsFirst ? -1 : 1;
   }
+
+  let comparison = 0;
+  if (aVal < bVal) comparison = -1;
+  else if (aVal > bVal) comparison = 1;
+
+  return direction === 'DESC' ? -comparison : comparison;
 }
 
 /**
  * Main entry point for query execution
  */
-export function executeQuery({ queryText, tables, schema: schemaObj }) {
+export function executeQuery({ queryText, tables, schema: schemaObj, transaction = createTransactionState() }) {
   try {
     // Tokenize
     const tokens = tokenize(queryText);
@@ -955,15 +1532,7 @@ export function executeQuery({ queryText, tables, schema: schemaObj }) {
     // Parse
     const ast = parse(tokens);
 
-    // For DDL and DML statements, we don't validate with the old validator
-    const needsValidation = ast.type === 'Query';
-    
-    // Validate only for SELECT queries
-    const validator = needsValidation ? validate(ast, schemaObj || schema) : null;
-
-    // Execute
-    const executor = new Executor(ast, tables, validator, schemaObj || schema);
-    return executor.execute();
+    return executeStatement(ast, tables, schemaObj, transaction);
   } catch (error) {
     // Re-throw SQL errors as-is
     if (error.name === 'SqlError') {
@@ -973,3 +1542,60 @@ export function executeQuery({ queryText, tables, schema: schemaObj }) {
     throw error;
   }
 }
+
+/**
+ * Run several statements separated by semicolons, one after another, so a worksheet can
+ * create a table, fill it and query it in one go. Returns an entry for each statement with
+ * its text, its position in the script and its result or error. The script stops at the
+ * first statement that fails; the statements after it are returned with skipped: true.
+ * Pass the same transaction state to each run so a transaction can span several runs
+ */
+export function executeScript({ queryText, tables, schema: schemaObj, transaction = createTransactionState() }) {
+  const statements = splitStatements(tokenize(queryText));
+  if (statements.length === 0) {
+    throw createSyntaxError('There are no statements to run', 0);
+  }
+
+  let failed = false;
+  return statements.map(statementTokens => {
+    const start = statementTokens[0].start;
+    const end = statementTokens[statementTokens.length - 2].end;
+    const entry = { text: queryText.slice(start, end), position: start };
+
+    if (failed) {
+      return { ...entry, skipped: true };
+    }
+
+    try {
+      return { ...entry, result: executeStatement(parse(statementTokens), tables, schemaObj, transaction) };
+    } catch (error) {
+      failed = true;
+      return { ...entry, error };
+    }
+  });
+}
+
+/**
+ * Validate (for queries) and run one parsed statement
+ */
+function executeStatement(ast, tables, schemaObj, transaction) {
+  if (ast.type === 'Transaction') {
+    return executeTransactionStatement(ast, transaction, tables, schemaObj || schema);
+  }
+
+  // For DDL and DML statements, we don't validate with the old validator
+  const needsValidation = ['Query', 'SetOperation', 'With'].includes(ast.type);
+
+  // Validate only for SELECT queries
+  const validator = needsValidation ? validate(ast, schemaObj || schema) : null;
+
+  // Execute
+  const executor = new Executor(ast, tables, validator, schemaObj || schema);
+  const result = executor.execute();
+
+  // Changes made inside a transaction stay uncommitted until COMMIT
+  if (transaction.active && result.meta.modified) {
+    transaction.modified = true;
+  }
+  return result;
+}
@@ -0,0 +1,233 @@
+/**
+ * Scalar Functions
+ * Built-in functions that work on one row at a time (UPPER, ROUND, COALESCE, ...)
+ */
+
+import { SqlError, ErrorCodes, createUnknownFunctionError } from './errors.js';
+import { isDateType, parseDateValue, daysBetween, currentDate } from './dates.js';
+
+// Each entry describes how a function is called and how it is evaluated:
+// - params: the type of each argument ('string', 'number', 'date' or 'any');
+//   the last one repeats for variadic functions. 'date' accepts DATE, DATETIME
+//   or text in ISO format
+// - minArgs: how many arguments are required (defaults to params.length)
+// - variadic: accepts any number of arguments from minArgs upwards
+// - sameType: every argument must have the same type, which is also the result type
+// - returns: the result type ('string', 'number' or 'date'), unless sameType is set
+// - handlesNull: evaluate sees NULL arguments; otherwise any NULL argument gives NULL
+// - usage: shown in error messages
+export const SCALAR_FUNCTIONS = {
+  // String functions
+  UPPER: {
+    params: ['string'],
+    returns: 'string',
+    usage: 'UPPER(text)',
+    evaluate: text => text.toUpperCase(),
+  },
+  LOWER: {
+    params: ['string'],
+    returns: 'string',
+    usage: 'LOWER(text)',
+    evaluate: text => text.toLowerCase(),
+  },
+  LENGTH: {
+    params: ['string'],
+    returns: 'number',
+    usage: 'LENGTH(text)',
+    evaluate: text => text.length,
+  },
+  SUBSTR: {
+    params: ['string', 'number', 'number'],
+    minArgs: 2,
+    returns: 'string',
+    usage: 'SUBSTR(text, start [, length])',
+    evaluate: (text, start, length) => {
+      // Positions count from 1, like the rest of SQL
+      const from = Math.max(start - 1, 0);
+      return length === undefined ? text.slice(from) : text.slice(from, from + Math.max(length, 0));
+    },
+  },
+  TRIM: {
+    params: ['string'],
+    returns: 'string',
+    usage: 'TRIM(text)',
+    evaluate: text => text.trim(),
+  },
+  CONCAT: {
+    params: ['any'],
+    minArgs: 1,
+    variadic: true,
+    returns: 'string',
+    handlesNull: true,
+    usage: 'CONCAT(value1, value2, ...)',
+    // Unlike ||, CONCAT skips NULLs instead of returning NULL
+    evaluate: (...values) => values.filter(value => value !== null).map(String).join(''),
+  },
+  REPLACE: {
+    params: ['string', 'string', 'string'],
+    returns: 'string',
+    usage: 'REPLACE(text, find, replacement)',
+    evaluate: (text, find, replacement) => (find === '' ? text : text.split(find).join(replacement)),
+  },
+
+  // Numeric functions
+  ROUND: {
+    params: ['number', 'number'],
+    minArgs: 1,
+    returns: 'number',
+    usage: 'ROUND(number [, decimal_places])',
+    evaluate: (value, places = 0) => {
+      // Halves round away from zero (ROUND(2.5) is 3, ROUND(-2.5) is -3);
+      // toPrecision hides floating point noise such as 1.005 * 100 = 100.49999...
+      const factor = 10 ** Math.trunc(places);
+      const scaled = Number((Math.abs(value) * factor).toPrecision(12));
+      return Math.sign(value) * Math.round(scaled) / factor;
+    },
+  },
+  ABS: {
+    params: ['number'],
+    returns: 'number',
+    usage: 'ABS(number)',
+    evaluate: value => Math.abs(value),
+  },
+  FLOOR: {
+    params: ['number'],
+    returns: 'number',
+    usage: 'FLOOR(number)',
+    evaluate: value => Math.floor(value),
+  },
+  CEIL: {
+    params: ['number'],
+    returns: 'number',
+    usage: 'CEIL(number)',
+    evaluate: value => Math.ceil(value),
+  },
+
+  // NULL handling
+  COALESCE: {
+    params: ['any'],
+    minArgs: 1,
+    variadic: true,
+    sameType: true,
+    handlesNull: true,
+    usage: 'COALESCE(value1, value2, ...)',
+    evaluate: (...values) => values.find(value => value !== null) ?? null,
+  },
+  IFNULL: {
+    params: ['any', 'any'],
+    sameType: true,
+    handlesNull: true,
+    usage: 'IFNULL(value, fallback)',
+    evaluate: (value, fallback) => (value === null ? fallback : value),
+  },
+  NULLIF: {
+    params: ['any', 'any'],
+    sameType: true,
+    handlesNull: true,
+    usage: 'NULLIF(value, other)',
+    evaluate: (value, other) => (value !== null && value === other ? null : value),
+  },
+
+  // Date functions
+  DATE: {
+    params: ['date'],
+    returns: 'date',
+    usage: 'DATE(value)',
+    evaluate: value => parseDateValue(value, 'date'),
+  },
+  YEAR: {
+    params: ['date'],
+    returns: 'number',
+    usage: 'YEAR(date)',
+    evaluate: value => Number(parseDateValue(value).slice(0, 4)),
+  },
+  MONTH: {
+    params: ['date'],
+    returns: 'number',
+    usage: 'MONTH(date)',
+    evaluate: value => Number(parseDateValue(value).slice(5, 7)),
+  },
+  DAY: {
+    params: ['date'],
+    returns: 'number',
+    usage: 'DAY(date)',
+    evaluate: value => Number(parseDateValue(value).slice(8, 10)),
+  },
+  DATEDIFF: {
+    params: ['date', 'date'],
+    returns: 'number',
+    usage: 'DATEDIFF(later_date, earlier_date)',
+    evaluate: (later, earlier) => daysBetween(earlier, later),
+  },
+  CURRENT_DATE: {
+    params: [],
+    returns: 'date',
+    usage: 'CURRENT_DATE',
+    evaluate: () => currentDate(),
+  },
+};
+
+/**
+ * Look up the function a FunctionCall node names, checking it exists and has
+ * an acceptable number of arguments
+ */
+export function resolveFunctionCall(call) {
+  const fn = Object.hasOwn(SCALAR_FUNCTIONS, call.name) ? SCALAR_FUNCTIONS[call.name] : null;
+  if (!fn) {
+    throw createUnknownFunctionError(call.name, Object.keys(SCALAR_FUNCTIONS), call.position);
+  }
+
+  if (!acceptsArgumentCount(fn, call.args.length)) {
+    throw new SqlError(
+      ErrorCodes.INVALID_QUERY,
+      `${call.name}() takes ${describeArity(fn)}, but was given ${call.args.length}. Tip: write it as ${fn.usage}.`,
+      call.position
+    );
+  }
+
+  return fn;
+}
+
+/**
+ * The expected type of the argument at `index` ('string', 'number', 'date' or 'any')
+ */
+export function getParamType(fn, index) {
+  return fn.params[Math.min(index, fn.params.length - 1)];
+}
+
+/**
+ * Check whether an argument whose type is known before running the query suits a parameter
+ */
+export function acceptsArgumentType(paramType, argType) {
+  if (paramType === 'any' || paramType === argType) return true;
+  return paramType === 'date' && isDateType(argType);
+}
+
+/**
+ * Check whether a value suits a parameter while the query runs
+ */
+export function acceptsArgumentValue(paramType, value) {
+  if (paramType === 'any') return true;
+  if (paramType === 'date') return parseDateValue(value, 'datetime') !== null;
+  return typeof value === paramType;
+}
+
+/**
+ * Describe the number of arguments a function accepts, e.g. "2 to 3 arguments"
+ */
+function describeArity(fn) {
+  const minArgs = fn.minArgs ?? fn.params.length;
+  const plural = count => `${count} argument${count === 1 ? '' : 's'}`;
+
+  if (fn.variadic) return `at least ${plural(minArgs)}`;
+  if (minArgs === fn.params.length) return plural(minArgs);
+  return `${minArgs} to ${plural(fn.params.length)}`;
+}
+
+/**
+ * Check whether a call with `count` arguments is allowed
+ */
+function acceptsArgumentCount(fn, count) {
+  const minArgs = fn.minArgs ?? fn.params.length;
+  return count >= minArgs && (fn.variadic || count <= fn.params.length);
+}
@@ -3,8 +3,10 @@
  * Parses tokens into an Abstract Syntax Tree (AST)
  */
 
-import { TokenType } from './tokenizer.js';
-import { createSyntaxError, createUnsupportedFeatureError } from './errors.js';
+import { TokenType, Token } from './tokenizer.js';
+import { createSyntaxError, createInvalidDateError } from './errors.js';
+import { parseDateValue } from './dates.js';
+import { WINDOW_FUNCTIONS } from './windows.js';
 
 export class Parser {
   constructor(tokens) {
@@ -23,11 +25,14 @@ export class Parser {
   }
 
   parseStatement() {
-    // statement := SELECT query | CREATE TABLE | ALTER TABLE | DROP TABLE | INSERT | UPDATE | DELETE
+    // statement := set_query | with_query | CREATE TABLE | ALTER TABLE | DROP TABLE | INSERT | UPDATE | DELETE
+    //            | transaction
     const token = this.current();
     
     if (this.checkKeyword('SELECT')) {
-      return this.parseQuery();
+      return this.parseSetQuery();
+    } else if (this.checkKeyword('WITH')) {
+      return this.parseWithQuery();
     } else if (this.checkKeyword('CREATE')) {
       return this.parseCreateTable();
     } else if (this.checkKeyword('ALTER')) {
@@ -40,16 +45,142 @@ export class Parser {
       return this.parseUpdate();
     } else if (this.checkKeyword('DELETE')) {
       return this.parseDelete();
+    } else if (['BEGIN', 'START', 'COMMIT', 'ROLLBACK', 'SAVEPOINT', 'RELEASE'].some(word => this.checkWord(word))) {
+      return this.parseTransactionStatement();
     } else {
       throw createSyntaxError(
-        `Expected SELECT, CREATE, ALTER, DROP, INSERT, UPDATE, or DELETE, got ${token.type === TokenType.KEYWORD ? token.value : token.type}`,
+        `Expected SELECT, WITH, CREATE, ALTER, DROP, INSERT, UPDATE, DELETE, BEGIN, COMMIT, or ROLLBACK, got ${token.type === TokenType.KEYWORD ? token.value : token.type}`,
         token.start
       );
     }
   }
 
+  parseWithQuery() {
+    // with_query := WITH [RECURSIVE] cte ("," cte)* set_query
+    this.expectKeyword('WITH');
+    let recursive = false;
+    if (this.checkWord('RECURSIVE')) {
+      this.advance();
+      recursive = true;
+    }
+
+    const ctes = [this.parseCommonTableExpression()];
+    while (this.check(TokenType.COMMA)) {
+      this.advance();
+      ctes.push(this.parseCommonTableExpression());
+    }
+
+    if (!this.checkKeyword('SELECT')) {
+      throw createSyntaxError('Expected the main SELECT after the WITH definitions', this.current().start);
+    }
+    const query = this.parseSetQuery();
+
+    return {
+      type: 'With',
+      recursive,
+      ctes,
+      query,
+    };
+  }
+
+  parseCommonTableExpression() {
+    // cte := name ["(" column ("," column)* ")"] AS "(" set_query ")"
+    const nameToken = this.expect(TokenType.IDENT);
+
+    let columns = null;
+    if (this.check(TokenType.LPAREN)) {
+      this.advance();
+      columns = [this.expect(TokenType.IDENT).value];
+      while (this.check(TokenType.COMMA)) {
+        this.advance();
+        columns.push(this.expect(TokenType.IDENT).value);
+      }
+      this.expect(TokenType.RPAREN);
+    }
+
+    this.expectKeyword('AS');
+    this.expect(TokenType.LPAREN);
+    const query = this.parseSetQuery();
+    this.expect(TokenType.RPAREN);
+
+    return {
+      name: nameToken.value,
+      columns,
+      query,
+      position: nameToken.start,
+    };
+  }
+
+  parseSetQuery() {
+    // set_query := query (set_operator query)* [order_clause] [limit_clause | fetch_clause]
+    // set_operator := (UNION | INTERSECT | EXCEPT) [ALL]
+    // INTERSECT binds tighter than UNION and EXCEPT, which apply left to right
+    const members = [this.parseQuery()];
+    const operators = [];
+
+    while (this.isSetOperator()) {
+      const previous = members[members.length - 1];
+      if (previous.orderBy || previous.limit) {
+        throw createSyntaxError(
+          `ORDER BY and LIMIT can only come after the last SELECT of a ${this.current().value.toUpperCase()}, where they sort and limit the combined result`,
+          this.current().start
+        );
+      }
+
+      const token = this.advance();
+      let all = false;
+      if (this.checkKeyword('ALL')) {
+        this.advance();
+        all = true;
+      }
+      operators.push({ operator: token.value.toUpperCase(), all, position: token.start });
+      members.push(this.parseQuery());
+    }
+
+    if (operators.length === 0) {
+      return members[0];
+    }
+
+    // The trailing ORDER BY and LIMIT belong to the whole compound query
+    const last = members[members.length - 1];
+    const { orderBy, limit } = last;
+    last.orderBy = null;
+    last.limit = null;
+
+    // Combine INTERSECT runs first, then UNION and EXCEPT from left to right
+    const combine = (left, { operator, all, position }, right) => ({
+      type: 'SetOperation',
+      operator,
+      all,
+      left,
+      right,
+      orderBy: null,
+      limit: null,
+      position,
+    });
+    const terms = [members[0]];
+    const termOperators = [];
+    operators.forEach((op, index) => {
+      if (op.operator === 'INTERSECT') {
+        terms.push(combine(terms.pop(), op, members[index + 1]));
+      } else {
+        termOperators.push(op);
+        terms.push(members[index + 1]);
+      }
+    });
+    const result = termOperators.reduce((left, op, index) => combine(left, op, terms[index + 1]), terms[0]);
+
+    result.orderBy = orderBy;
+    result.limit = limit;
+    return result;
+  }
+
+  isSetOperator() {
+    return this.checkKeyword('UNION') || this.checkKeyword('INTERSECT') || this.checkKeyword('EXCEPT');
+  }
+
   parseQuery() {
-    // query := SELECT select_list FROM table_ref [join_clause] [where_clause] [group_by_clause] [order_clause] [limit_clause]
+    // query := SELECT select_list FROM table_ref join_clause* [where_clause] [group_by_clause] [having_clause] [order_clause] [limit_clause | fetch_clause]
     this.expectKeyword('SELECT');
     let isDistinct = false;
     if (this.checkKeyword('DISTINCT')) {
@@ -63,9 +194,9 @@ export class Parser {
     this.expectKeyword('FROM');
     const from = this.parseTableRef();
 
-    let join = null;
-    if (this.checkKeyword('INNER') || this.checkKeyword('JOIN')) {
-      join = this.parseJoinClause();
+    const joins = [];
+    while (this.isJoinStart()) {
+      joins.push(this.parseJoinClause());
     }
 
     let where = null;
@@ -78,6 +209,11 @@ export class Parser {
       groupBy = this.parseGroupByClause();
     }
 
+    let having = null;
+    if (this.checkKeyword('HAVING')) {
+      having = this.parseHavingClause();
+    }
+
     let orderBy = null;
     if (this.checkKeyword('ORDER')) {
       orderBy = this.parseOrderClause();
@@ -86,15 +222,18 @@ export class Parser {
     let limit = null;
     if (this.checkKeyword('LIMIT')) {
       limit = this.parseLimitClause();
+    } else if (this.checkKeyword('OFFSET') || this.checkKeyword('FETCH')) {
+      limit = this.parseFetchClause();
     }
 
     return {
       type: 'Query',
       select,
       from,
-      join,
+      joins,
       where,
       groupBy,
+      having,
       orderBy,
       limit,
     };
@@ -103,8 +242,8 @@ export class Parser {
   parseSelectList() {
     // select_list := "*" | select_item ("," select_item)*
     if (this.check(TokenType.STAR)) {
-      this.advance();
-      return { type: 'Select', star: true, items: [] };
+      const star = this.advance();
+      return { type: 'Select', star: true, items: [], position: star.start };
     }
 
     const items = [];
@@ -119,19 +258,8 @@ export class Parser {
   }
 
   parseSelectItem() {
-    // select_item := (aggregate_function | column_ref) [AS alias]
-    // aggregate_function := (COUNT|SUM|AVG|MIN|MAX) "(" ("*" | column_ref) ")"
-    
-    const token = this.current();
-    
-    let item;
-    // Check if this is an aggregate function
-    const aggFuncs = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
-    if (token.type === TokenType.KEYWORD && aggFuncs.includes(token.value.toUpperCase())) {
-      item = this.parseAggregateFunction();
-    } else {
-      item = this.parseColumnRef();
-    }
+    // select_item := expression [AS alias]
+    const item = this.parseExpression();
     
     // Check for optional AS alias
     let alias = null;
@@ -152,8 +280,53 @@ export class Parser {
     return item;
   }
 
+  isAggregateStart() {
+    const token = this.current();
+    return token.type === TokenType.KEYWORD &&
+      ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'].includes(token.value.toUpperCase());
+  }
+
+  parseWindowFunction(call) {
+    // window_function := (aggregate_function | function_call) OVER "("
+    //                    [PARTITION BY expression ("," expression)*] [ORDER BY order_item ("," order_item)*] ")"
+    // The validator checks that the function can be used as a window function
+    if (call.distinct) {
+      throw createSyntaxError(
+        `DISTINCT can't be used in a window function such as ${call.function}(DISTINCT ...) OVER (...)`,
+        call.position
+      );
+    }
+
+    this.expectKeyword('OVER');
+    this.expect(TokenType.LPAREN);
+
+    const partitionBy = [];
+    if (this.checkKeyword('PARTITION')) {
+      this.advance();
+      this.expectKeyword('BY');
+      partitionBy.push(this.parseExpression());
+      while (this.check(TokenType.COMMA)) {
+        this.advance();
+        partitionBy.push(this.parseExpression());
+      }
+    }
+
+    const orderBy = this.checkKeyword('ORDER') ? this.parseOrderClause().items : [];
+    this.expect(TokenType.RPAREN);
+
+    const isAggregate = call.type === 'AggregateFunction';
+    return {
+      type: 'WindowFunction',
+      function: isAggregate ? call.function : call.name,
+      args: isAggregate ? [call.argument] : call.args,
+      partitionBy,
+      orderBy,
+      position: call.position,
+    };
+  }
+
   parseAggregateFunction() {
-    // aggregate_function := (COUNT|SUM|AVG|MIN|MAX) "(" ("*" | column_ref) ")"
+    // aggregate_function := (COUNT|SUM|AVG|MIN|MAX) "(" ("*" | [DISTINCT] expression) ")"
     const funcToken = this.current();
     const funcName = funcToken.value.toUpperCase();
     
@@ -168,8 +341,21 @@ export class Parser {
     this.advance(); // consume the function name
     this.expect(TokenType.LPAREN);
 
+    // DISTINCT makes the aggregate use each different value once
+    let distinct = false;
+    if (this.checkKeyword('DISTINCT')) {
+      this.advance();
+      distinct = true;
+    }
+
     let argument;
     if (this.check(TokenType.STAR)) {
+      if (distinct) {
+        throw createSyntaxError(
+          `${funcName}(DISTINCT *) is not allowed, name a column such as ${funcName}(DISTINCT module)`,
+          this.current().start
+        );
+      }
       // Only COUNT supports * argument
       if (funcName !== 'COUNT') {
         throw createSyntaxError(
@@ -180,7 +366,7 @@ export class Parser {
       this.advance();
       argument = { type: 'Star' };
     } else {
-      argument = this.parseColumnRef();
+      argument = this.parseExpression();
     }
 
     this.expect(TokenType.RPAREN);
@@ -189,27 +375,70 @@ export class Parser {
       type: 'AggregateFunction',
       function: funcName,
       argument,
+      distinct,
       position: funcToken.start,
     };
   }
 
   parseTableRef() {
-    // table_ref := IDENT
+    // table_ref := IDENT [[AS] alias] | subquery [AS] alias
+    if (this.isSubqueryStart()) {
+      return this.parseDerivedTable();
+    }
+
     const token = this.expect(TokenType.IDENT);
-    return { type: 'Table', name: token.value };
+
+    let alias = null;
+    if (this.checkKeyword('AS')) {
+      this.advance();
+      alias = this.expect(TokenType.IDENT).value;
+    } else if (this.check(TokenType.IDENT)) {
+      // Support alias without AS keyword (e.g., FROM students s)
+      alias = this.advance().value;
+    }
+
+    return { type: 'Table', name: token.value, alias, position: token.start };
+  }
+
+  parseDerivedTable() {
+    // derived_table := "(" set_query ")" [AS] alias
+    const subquery = this.parseSubquery();
+
+    if (this.checkKeyword('AS')) {
+      this.advance();
+    }
+    if (!this.check(TokenType.IDENT)) {
+      throw createSyntaxError(
+        'A subquery in FROM or JOIN needs an alias, e.g. (SELECT ...) AS t',
+        this.current().start
+      );
+    }
+    const alias = this.advance().value;
+
+    return { type: 'DerivedTable', query: subquery.query, alias, position: subquery.position };
+  }
+
+  isJoinStart() {
+    return ['INNER', 'LEFT', 'RIGHT', 'FULL', 'JOIN'].some(keyword => this.checkKeyword(keyword));
   }
 
   parseJoinClause() {
-    // join_clause := [INNER] JOIN IDENT ON column_ref "=" column_ref
+    // join_clause := [INNER | (LEFT | RIGHT | FULL) [OUTER]] JOIN table_ref ON column_ref "=" column_ref
     let joinType = 'INNER';
     
     if (this.checkKeyword('INNER')) {
       this.advance();
       joinType = 'INNER';
+    } else if (this.checkKeyword('LEFT') || this.checkKeyword('RIGHT') || this.checkKeyword('FULL')) {
+      joinType = this.advance().value.toUpperCase();
+      // OUTER is optional: LEFT JOIN and LEFT OUTER JOIN mean the same thing
+      if (this.checkKeyword('OUTER')) {
+        this.advance();
+      }
     }
 
     this.expectKeyword('JOIN');
-    const table = this.expect(TokenType.IDENT).value;
+    const table = this.parseTableRef();
 
     this.expectKeyword('ON');
     const left = this.parseColumnRef();
@@ -225,46 +454,145 @@ export class Parser {
   }
 
   parseWhereClause() {
-    // where_clause := WHERE predicate
+    // where_clause := WHERE condition
     this.expectKeyword('WHERE');
-    return this.parsePredicate();
+    return {
+      type: 'Where',
+      condition: this.parseCondition(),
+    };
   }
 
-  parsePredicate() {
-    // predicate := comparison (AND comparison)*
-    const comparisons = [];
-    comparisons.push(this.parseComparison());
+  parseCondition() {
+    // condition := and_condition (OR and_condition)*
+    let left = this.parseAndCondition();
+
+    while (this.checkKeyword('OR')) {
+      this.advance();
+      const right = this.parseAndCondition();
+      left = { type: 'Logical', operator: 'OR', left, right };
+    }
+
+    return left;
+  }
+
+  parseAndCondition() {
+    // and_condition := not_condition (AND not_condition)*
+    let left = this.parseNotCondition();
 
     while (this.checkKeyword('AND')) {
       this.advance();
-      comparisons.push(this.parseComparison());
+      const right = this.parseNotCondition();
+      left = { type: 'Logical', operator: 'AND', left, right };
     }
 
-    return {
-      type: 'Where',
-      and: comparisons,
-    };
+    return left;
+  }
+
+  parseNotCondition() {
+    // not_condition := NOT not_condition | EXISTS subquery | "(" condition ")" | comparison
+    if (this.checkKeyword('NOT')) {
+      const notToken = this.advance();
+      return { type: 'Not', operand: this.parseNotCondition(), position: notToken.start };
+    }
+
+    if (this.checkKeyword('EXISTS')) {
+      const existsToken = this.advance();
+      const subquery = this.parseSubquery();
+      return { type: 'Exists', query: subquery.query, position: existsToken.start };
+    }
+
+    // "(" SELECT starts a subquery operand, not a bracketed condition. Any other "("
+    // is either a bracketed condition or the start of an expression such as
+    // (score + 5) * 2 > 100, so try the condition first and rewind if it doesn't fit
+    if (this.check(TokenType.LPAREN) && !this.isSubqueryStart()) {
+      const start = this.pos;
+      let conditionError;
+      try {
+        this.advance();
+        const condition = this.parseCondition();
+        this.expect(TokenType.RPAREN);
+        if (!this.isComparisonOperator() && !this.isArithmeticOperator()) {
+          return condition;
+        }
+      } catch (error) {
+        conditionError = error;
+      }
+
+      this.pos = start;
+      try {
+        return this.parseComparison();
+      } catch (error) {
+        // Report whichever reading got further through the query
+        if (conditionError && (conditionError.position ?? -1) > (error.position ?? -1)) {
+          throw conditionError;
+        }
+        throw error;
+      }
+    }
+
+    return this.parseComparison();
   }
 
   parseComparison() {
-    // comparison := operand [operator operand] | TRUE | FALSE
+    // comparison := operand operator operand
+    //             | operand [NOT] IN "(" literal ("," literal)* ")"
+    //             | operand [NOT] BETWEEN operand AND operand
+    //             | operand NOT LIKE operand
+    //             | operand IS [NOT] NULL
+    //             | TRUE | FALSE
     // operator := "=" | "!=" | "<>" | "<" | "<=" | ">" | ">=" | LIKE
-    const left = this.parseOperand();
+    const left = this.parseExpression();
     
-    // Check if this is a standalone boolean (TRUE or FALSE without operator)
-    if (left.type === 'Literal' && left.valueType === 'boolean') {
-      const boolNumber = left.value ? 1 : 0;
-      // Check if next token is AND, EOF, or other clause keyword
-      if (this.checkKeyword('AND') || this.check(TokenType.EOF) || 
-          this.checkKeyword('ORDER') || this.checkKeyword('GROUP') || 
-          this.checkKeyword('LIMIT')) {
-        // Return a comparison that always evaluates to the boolean value
-        return {
-          left: { type: 'Literal', value: 1, valueType: 'number', position: left.position },
-          operator: '=',
-          right: { type: 'Literal', value: boolNumber, valueType: 'number', position: left.position }
-        };
+    // A standalone TRUE or FALSE (no operator after it) is a complete condition
+    if (left.type === 'Literal' && left.valueType === 'boolean' && !this.isComparisonOperator()) {
+      return left;
+    }
+
+    if (this.checkKeyword('IS')) {
+      this.advance();
+      let isNegated = false;
+      if (this.checkKeyword('NOT')) {
+        this.advance();
+        isNegated = true;
       }
+      this.expectKeyword('NULL');
+      return { type: 'IsNull', operand: left, negated: isNegated, position: left.position };
+    }
+
+    let negated = false;
+    if (this.checkKeyword('NOT')) {
+      this.advance();
+      negated = true;
+      if (!this.checkKeyword('IN') && !this.checkKeyword('BETWEEN') && !this.checkKeyword('LIKE')) {
+        const token = this.current();
+        throw createSyntaxError(
+          `Expected IN, BETWEEN or LIKE after NOT, got ${token.type === TokenType.KEYWORD ? token.value : token.type}`,
+          token.start
+        );
+      }
+    }
+
+    if (this.checkKeyword('IN')) {
+      return this.parseInList(left, negated);
+    }
+
+    if (this.checkKeyword('BETWEEN')) {
+      this.advance();
+      const low = this.parseExpression();
+      this.expectKeyword('AND');
+      const high = this.parseExpression();
+      return { type: 'Between', operand: left, low, high, negated, position: left.position };
+    }
+
+    if (negated) {
+      // NOT LIKE is the same as NOT (... LIKE ...)
+      this.advance();
+      const right = this.parseExpression();
+      return {
+        type: 'Not',
+        operand: { type: 'Comparison', left, operator: 'LIKE', right, position: left.position },
+        position: left.position,
+      };
     }
     
     let operator = '=';
@@ -298,13 +626,153 @@ export class Parser {
       );
     }
     
-    const right = this.parseOperand();
+    const right = this.parseExpression();
 
-    return { left, operator, right };
+    return { type: 'Comparison', left, operator, right, position: left.position };
+  }
+
+  parseInList(operand, negated) {
+    // in_list := IN "(" literal ("," literal)* ")" | IN subquery
+    this.expectKeyword('IN');
+
+    if (this.isSubqueryStart()) {
+      const subquery = this.parseSubquery();
+      return { type: 'InSubquery', operand, query: subquery.query, negated, position: operand.position };
+    }
+
+    this.expect(TokenType.LPAREN);
+
+    const values = [this.parseLiteral()];
+    while (this.check(TokenType.COMMA)) {
+      this.advance();
+      values.push(this.parseLiteral());
+    }
+
+    this.expect(TokenType.RPAREN);
+
+    return { type: 'InList', operand, values, negated, position: operand.position };
+  }
+
+  isComparisonOperator() {
+    return this.checkKeyword('LIKE') || this.checkKeyword('NOT') || this.checkKeyword('IS') ||
+      this.checkKeyword('IN') || this.checkKeyword('BETWEEN') || [
+      TokenType.OP_EQ, TokenType.OP_NE, TokenType.OP_LT,
+      TokenType.OP_LE, TokenType.OP_GT, TokenType.OP_GE,
+    ].includes(this.current().type);
+  }
+
+  isArithmeticOperator() {
+    return [
+      TokenType.PLUS, TokenType.MINUS, TokenType.STAR, TokenType.SLASH, TokenType.PERCENT, TokenType.CONCAT,
+    ].includes(this.current().type);
+  }
+
+  parseExpression() {
+    // expression := sum ("||" sum)*
+    // || binds more loosely than arithmetic, so 'Room ' || room + 1 adds first
+    let left = this.parseSum();
+
+    while (this.check(TokenType.CONCAT)) {
+      this.advance();
+      const right = this.parseSum();
+      left = { type: 'Concat', left, right, position: left.position };
+    }
+
+    return left;
+  }
+
+  parseSum() {
+    // sum := term (("+" | "-") term)*
+    let left = this.parseTerm();
+
+    while (this.check(TokenType.PLUS) || this.check(TokenType.MINUS)) {
+      const operator = this.advance().value;
+      const right = this.parseTerm();
+      left = { type: 'Arithmetic', operator, left, right, position: left.position };
+    }
+
+    return left;
+  }
+
+  parseTerm() {
+    // term := factor (("*" | "/" | "%") factor)*
+    // Binding tighter than + and -, so 1 + 2 * 3 is 1 + (2 * 3)
+    let left = this.parseFactor();
+
+    while (this.check(TokenType.STAR) || this.check(TokenType.SLASH) || this.check(TokenType.PERCENT)) {
+      const operator = this.advance().value;
+      const right = this.parseFactor();
+      left = { type: 'Arithmetic', operator, left, right, position: left.position };
+    }
+
+    return left;
+  }
+
+  parseFactor() {
+    // factor := "-" factor | operand
+    if (this.check(TokenType.MINUS)) {
+      const minusToken = this.advance();
+      const operand = this.parseFactor();
+
+      // -5 is just a negative number
+      if (operand.type === 'Literal' && operand.valueType === 'number') {
+        return { ...operand, value: -operand.value, position: minusToken.start };
+      }
+      return { type: 'Negate', operand, position: minusToken.start };
+    }
+
+    return this.parseOperand();
   }
 
   parseOperand() {
-    // operand := column_ref | literal | boolean
+    // operand := column_ref | literal | boolean | aggregate_function | function_call | subquery
+    //          | case_expression | window_function | "(" expression ")"
+    // Aggregates and window functions are parsed anywhere; the validator checks where they're allowed
+    if (this.isAggregateStart()) {
+      const aggregate = this.parseAggregateFunction();
+      return this.checkKeyword('OVER') ? this.parseWindowFunction(aggregate) : aggregate;
+    }
+
+    if (this.checkKeyword('CASE')) {
+      return this.parseCaseExpression();
+    }
+
+    if (this.isSubqueryStart()) {
+      return this.parseSubquery();
+    }
+
+    if (this.check(TokenType.LPAREN)) {
+      this.advance();
+      const expression = this.parseExpression();
+      this.expect(TokenType.RPAREN);
+      return expression;
+    }
+
+    if (this.isDateLiteralStart()) {
+      return this.parseLiteral();
+    }
+
+    if (this.check(TokenType.IDENT) && this.peek().type === TokenType.LPAREN) {
+      const call = this.parseFunctionCall();
+      if (this.checkKeyword('OVER')) {
+        return this.parseWindowFunction(call);
+      }
+      if (Object.hasOwn(WINDOW_FUNCTIONS, call.name)) {
+        throw createSyntaxError(
+          `${call.name}() needs an OVER clause, e.g. ${WINDOW_FUNCTIONS[call.name].usage}`,
+          call.position
+        );
+      }
+      return call;
+    }
+
+    // CURRENT_DATE is a function written without brackets
+    if (this.check(TokenType.IDENT) && this.current().value.toUpperCase() === 'CURRENT_DATE' &&
+        this.peek().type !== TokenType.DOT) {
+      const token = this.advance();
+      return { type: 'FunctionCall', name: 'CURRENT_DATE', args: [], position: token.start };
+    }
+
     if (
       this.check(TokenType.NUMBER) ||
       this.check(TokenType.STRING) ||
@@ -317,6 +785,85 @@ export class Parser {
     return this.parseColumnRef();
   }
 
+  parseFunctionCall() {
+    // function_call := IDENT "(" [expression ("," expression)*] ")"
+    // The validator checks the name and arguments against the function registry
+    const nameToken = this.expect(TokenType.IDENT);
+    this.expect(TokenType.LPAREN);
+
+    const args = [];
+    if (!this.check(TokenType.RPAREN)) {
+      args.push(this.parseExpression());
+      while (this.check(TokenType.COMMA)) {
+        this.advance();
+        args.push(this.parseExpression());
+      }
+    }
+
+    this.expect(TokenType.RPAREN);
+
+    return {
+      type: 'FunctionCall',
+      name: nameToken.value.toUpperCase(),
+      args,
+      position: nameToken.start,
+    };
+  }
+
+  parseCaseExpression() {
+    // case_expression := CASE WHEN condition THEN expression (WHEN condition THEN expression)* [ELSE expression] END
+    //                  | CASE expression WHEN expression THEN expression (...)* [ELSE expression] END
+    const caseToken = this.expectKeyword('CASE');
+
+    // Simple CASE compares one value against each WHEN; it is stored as the
+    // equivalent searched CASE, so "CASE x WHEN 1" becomes "CASE WHEN x = 1"
+    const subject = this.checkKeyword('WHEN') ? null : this.parseExpression();
+
+    const whens = [];
+    do {
+      this.expectKeyword('WHEN');
+      let condition;
+      if (subject) {
+        const value = this.parseExpression();
+        condition = { type: 'Comparison', left: subject, operator: '=', right: value, position: value.position };
+      } else {
+        condition = this.parseCondition();
+      }
+      this.expectKeyword('THEN');
+      whens.push({ condition, result: this.parseExpression() });
+    } while (this.checkKeyword('WHEN'));
+
+    let elseResult = null;
+    if (this.checkKeyword('ELSE')) {
+      this.advance();
+      elseResult = this.parseExpression();
+    }
+
+    this.expectKeyword('END');
+
+    return { type: 'Case', whens, else: elseResult, position: caseToken.start };
+  }
+
+  isDateLiteralStart() {
+    return this.check(TokenType.IDENT) &&
+      ['DATE', 'DATETIME', 'TIMESTAMP'].includes(this.current().value.toUpperCase()) &&
+      this.peek().type === TokenType.STRING;
+  }
+
+  isSubqueryStart() {
+    const next = this.peek(1);
+    return this.check(TokenType.LPAREN) &&
+      next.type === TokenType.KEYWORD && next.value.toUpperCase() === 'SELECT';
+  }
+
+  parseSubquery() {
+    // subquery := "(" set_query ")"
+    const startToken = this.expect(TokenType.LPAREN);
+    const query = this.parseSetQuery();
+    this.expect(TokenType.RPAREN);
+    return { type: 'Subquery', query, position: startToken.start };
+  }
+
   parseBooleanLiteral() {
     const token = this.current();
     const value = token.value.toUpperCase() === 'TRUE';
@@ -355,9 +902,32 @@ export class Parser {
   }
 
   parseLiteral() {
-    // literal := NUMBER | STRING
+    // literal := ["-"] NUMBER | STRING | (DATE | DATETIME | TIMESTAMP) STRING | TRUE | FALSE | NULL
     const token = this.current();
 
+    if (this.isDateLiteralStart()) {
+      // DATE '2024-09-02' or DATETIME '2024-09-02 09:30:00'
+      const type = token.value.toUpperCase() === 'DATE' ? 'date' : 'datetime';
+      this.advance();
+      const textToken = this.advance();
+      const value = parseDateValue(textToken.value, type);
+      if (value === null) {
+        throw createInvalidDateError(textToken.value, type, textToken.start);
+      }
+      return { type: 'Literal', value, valueType: type, position: token.start };
+    }
+
+    if (token.type === TokenType.MINUS && this.peek().type === TokenType.NUMBER) {
+      this.advance();
+      const numberToken = this.advance();
+      return {
+        type: 'Literal',
+        value: -Number(numberToken.value),
+        valueType: 'number',
+        position: token.start,
+      };
+    }
+
     if (token.type === TokenType.NUMBER) {
       this.advance();
       return {
@@ -399,29 +969,57 @@ export class Parser {
   }
 
   parseGroupByClause() {
-    // group_by_clause := GROUP BY column_ref ("," column_ref)*
+    // group_by_clause := GROUP BY expression ("," expression)*
+    // An expression may also be a SELECT alias or a position such as 1; the validator resolves those
     this.expectKeyword('GROUP');
     this.expectKeyword('BY');
 
-    const columns = [];
-    columns.push(this.parseColumnRef());
+    const expressions = [];
+    expressions.push(this.parseExpression());
 
     while (this.check(TokenType.COMMA)) {
       this.advance();
-      columns.push(this.parseColumnRef());
+      expressions.push(this.parseExpression());
     }
 
     return {
       type: 'GroupBy',
-      columns,
+      expressions,
+    };
+  }
+
+  parseHavingClause() {
+    // having_clause := HAVING condition
+    this.expectKeyword('HAVING');
+    return {
+      type: 'Having',
+      condition: this.parseCondition(),
     };
   }
 
   parseOrderClause() {
-    // order_clause := ORDER BY column_ref [ASC|DESC]
+    // order_clause := ORDER BY order_item ("," order_item)*
     this.expectKeyword('ORDER');
     this.expectKeyword('BY');
-    const column = this.parseColumnRef();
+
+    const items = [];
+    items.push(this.parseOrderItem());
+
+    while (this.check(TokenType.COMMA)) {
+      this.advance();
+      items.push(this.parseOrderItem());
+    }
+
+    return {
+      type: 'OrderBy',
+      items,
+    };
+  }
+
+  parseOrderItem() {
+    // order_item := expression [ASC|DESC] [NULLS (FIRST|LAST)]
+    // The expression may also be a SELECT alias or a position such as 1; the validator resolves those
+    const expression = this.parseExpression();
 
     let direction = 'ASC';
     if (this.checkKeyword('ASC')) {
@@ -432,30 +1030,83 @@ export class Parser {
       direction = 'DESC';
     }
 
-    return {
-      type: 'OrderBy',
-      column,
-      direction,
-    };
+    // Without NULLS FIRST/LAST, NULLs count as the smallest value
+    let nulls = null;
+    if (this.checkWord('NULLS')) {
+      this.advance();
+      if (this.checkWord('FIRST') || this.checkWord('LAST')) {
+        nulls = this.advance().value.toUpperCase();
+      } else {
+        throw createSyntaxError('Expected FIRST or LAST after NULLS', this.current().start);
+      }
+    }
+
+    return { expression, direction, nulls };
   }
 
   parseLimitClause() {
-    // limit_clause := LIMIT NUMBER
+    // limit_clause := LIMIT NUMBER [OFFSET NUMBER] | LIMIT NUMBER "," NUMBER
+    // MySQL's LIMIT m, n skips m rows and returns the next n
     this.expectKeyword('LIMIT');
+    let value = this.parseRowCount('LIMIT');
+    let offset = 0;
+
+    if (this.check(TokenType.COMMA)) {
+      this.advance();
+      offset = value;
+      value = this.parseRowCount('LIMIT');
+    } else if (this.checkKeyword('OFFSET')) {
+      this.advance();
+      offset = this.parseRowCount('OFFSET');
+    }
+
+    return {
+      type: 'Limit',
+      value,
+      offset,
+    };
+  }
+
+  parseFetchClause() {
+    // fetch_clause := [OFFSET NUMBER [ROW|ROWS]] [FETCH (FIRST|NEXT) [NUMBER] (ROW|ROWS) ONLY]
+    // This is the SQL standard way of writing LIMIT; a missing FETCH means no limit
+    let offset = 0;
+    if (this.checkKeyword('OFFSET')) {
+      this.advance();
+      offset = this.parseRowCount('OFFSET');
+      if (this.checkWord('ROW') || this.checkWord('ROWS')) {
+        this.advance();
+      }
+    }
+
+    let value = null;
+    if (this.checkKeyword('FETCH')) {
+      this.advance();
+      this.expectWord('FIRST', 'NEXT');
+      value = this.check(TokenType.NUMBER) ? this.parseRowCount('FETCH FIRST') : 1;
+      this.expectWord('ROW', 'ROWS');
+      this.expectWord('ONLY');
+    }
+
+    return {
+      type: 'Limit',
+      value,
+      offset,
+    };
+  }
+
+  parseRowCount(clause) {
     const token = this.expect(TokenType.NUMBER);
     const value = Number(token.value);
 
     if (value < 0 || !Number.isInteger(value)) {
       throw createSyntaxError(
-        'LIMIT must be a non-negative integer',
+        `${clause} must be a non-negative integer`,
         token.start
       );
     }
 
-    return {
-      type: 'Limit',
-      value,
-    };
+    return value;
   }
 
   parseCreateTable() {
@@ -588,13 +1239,17 @@ export class Parser {
     const numberTypes = ['number', 'int', 'integer', 'decimal', 'float', 'numeric', 'real', 'double'];
     const stringTypes = ['string', 'varchar', 'char', 'text'];
     const booleanTypes = ['boolean', 'bool'];
+    const dateTypes = ['date'];
+    const datetimeTypes = ['datetime', 'timestamp'];
 
     if (numberTypes.includes(type)) return 'number';
     if (stringTypes.includes(type)) return 'string';
     if (booleanTypes.includes(type)) return 'boolean';
+    if (dateTypes.includes(type)) return 'date';
+    if (datetimeTypes.includes(type)) return 'datetime';
 
     throw createSyntaxError(
-      `Unknown column type: ${rawType}. Use INT, DECIMAL, FLOAT, NUMERIC, VARCHAR, CHAR, TEXT, BOOLEAN, or compatible synonyms`,
+      `Unknown column type: ${rawType}. Use INT, DECIMAL, FLOAT, NUMERIC, VARCHAR, CHAR, TEXT, BOOLEAN, DATE, DATETIME, or compatible synonyms`,
       position
     );
   }
@@ -689,7 +1344,8 @@ export class Parser {
   }
 
   parseInsert() {
-    // INSERT INTO table_name (column1, column2, ...) VALUES (value1, value2, ...)
+    // INSERT INTO table_name (column1, column2, ...) VALUES (value1, value2, ...) [, (...) ...]
+    // INSERT INTO table_name (column1, column2, ...) SELECT ...
     this.expectKeyword('INSERT');
     this.expectKeyword('INTO');
     
@@ -708,9 +1364,42 @@ export class Parser {
       }
     } while (!this.check(TokenType.RPAREN));
     this.expect(TokenType.RPAREN);
+
+    // The new rows come from a query, or from one or more VALUES lists
+    if (this.checkKeyword('SELECT') || this.checkKeyword('WITH')) {
+      const query = this.checkKeyword('WITH') ? this.parseWithQuery() : this.parseSetQuery();
+      return {
+        type: 'Insert',
+        tableName,
+        columns,
+        rows: null,
+        query,
+      };
+    }
+
+    if (!this.checkKeyword('VALUES')) {
+      const token = this.current();
+      throw createSyntaxError(`Expected VALUES or SELECT after the column list, got ${token.value || token.type}`, token.start);
+    }
+    this.advance();
+
+    const rows = [this.parseValuesList()];
+    while (this.check(TokenType.COMMA)) {
+      this.advance();
+      rows.push(this.parseValuesList());
+    }
     
-    this.expectKeyword('VALUES');
-    
+    return {
+      type: 'Insert',
+      tableName,
+      columns,
+      rows,
+      query: null,
+    };
+  }
+
+  parseValuesList() {
+    // values_list := "(" literal ("," literal)* ")"
     this.expect(TokenType.LPAREN);
     const values = [];
     do {
@@ -723,17 +1412,11 @@ export class Parser {
       }
     } while (!this.check(TokenType.RPAREN));
     this.expect(TokenType.RPAREN);
-    
-    return {
-      type: 'Insert',
-      tableName,
-      columns,
-      values,
-    };
+    return values;
   }
 
   parseUpdate() {
-    // UPDATE table_name SET column1 = value1, column2 = value2 WHERE condition
+    // UPDATE table_name SET column1 = expression1, column2 = expression2 WHERE condition
     this.expectKeyword('UPDATE');
     
     const tableNameToken = this.expect(TokenType.IDENT);
@@ -745,7 +1428,7 @@ export class Parser {
     do {
       const columnName = this.expect(TokenType.IDENT).value;
       this.expect(TokenType.OP_EQ);
-      const value = this.parseLiteral();
+      const value = this.parseExpression();
       assignments.push({ column: columnName, value });
       
       if (this.check(TokenType.COMMA)) {
@@ -788,11 +1471,48 @@ export class Parser {
     };
   }
 
+  parseTransactionStatement() {
+    // transaction := BEGIN [TRANSACTION | WORK] | START TRANSACTION
+    //              | COMMIT [TRANSACTION | WORK]
+    //              | ROLLBACK [TRANSACTION | WORK] [TO [SAVEPOINT] name]
+    //              | SAVEPOINT name | RELEASE [SAVEPOINT] name
+    // These words aren't keywords, so tables and columns can still use them as names
+    const position = this.current().start;
+    const word = this.advance().value.toUpperCase();
+    const action = word === 'START' ? 'BEGIN' : word;
+
+    if (word === 'START') {
+      this.expectWord('TRANSACTION');
+    } else if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(word) && (this.checkWord('TRANSACTION') || this.checkWord('WORK'))) {
+      this.advance();
+    }
+
+    let savepoint = null;
+    if (action === 'SAVEPOINT') {
+      savepoint = this.expect(TokenType.IDENT).value;
+    } else if (action === 'RELEASE' || (action === 'ROLLBACK' && this.checkWord('TO'))) {
+      if (action === 'ROLLBACK') this.advance();
+      if (this.checkWord('SAVEPOINT')) this.advance();
+      savepoint = this.expect(TokenType.IDENT).value;
+    }
+
+    return {
+      type: 'Transaction',
+      action,
+      savepoint,
+      position,
+    };
+  }
+
   // Helper methods
   current() {
     return this.tokens[this.pos];
   }
 
+  peek(offset = 1) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
   advance() {
     this.pos++;
     return this.tokens[this.pos - 1];
@@ -808,6 +1528,24 @@ export class Parser {
            token.value.toUpperCase() === keyword.toUpperCase();
   }
 
+  checkWord(word) {
+    // Words such as NULLS and FIRST are only special in one place, so they aren't keywords
+    // and can still be used as table or column names
+    const token = this.current();
+    return token.type === TokenType.IDENT && token.value.toUpperCase() === word;
+  }
+
+  expectWord(...words) {
+    if (!words.some(word => this.checkWord(word))) {
+      const token = this.current();
+      throw createSyntaxError(
+        `Expected ${words.join(' or ')}, got ${token.value || token.type}`,
+        token.start
+      );
+    }
+    return this.advance();
+  }
+
   expect(type) {
     const token = this.current();
     if (token.type !== type) {
@@ -821,12 +1559,6 @@ export class Parser {
 
   expectKeyword(keyword) {
     const token = this.current();
-    
-    // Check for unsupported features
-    const unsupportedKeywords = ['HAVING', 'OR', 'IN', 'BETWEEN', 'LEFT', 'RIGHT', 'OUTER', 'FULL'];
-    if (token.type === TokenType.KEYWORD && unsupportedKeywords.includes(token.value.toUpperCase())) {
-      throw createUnsupportedFeatureError(token.value.toUpperCase(), token.start);
-    }
 
     if (token.type !== TokenType.KEYWORD || token.value.toUpperCase() !== keyword.toUpperCase()) {
       throw createSyntaxError(
@@ -842,3 +1574,26 @@ export function parse(tokens) {
   const parser = new Parser(tokens);
   return parser.parse();
 }
+
+/**
+ * Split a script's tokens into one list per statement at the semicolons between them.
+ * Each list ends with its own EOF token, so it can be parsed on its own with parse()
+ */
+export function splitStatements(tokens) {
+  const statements = [];
+  let current = [];
+
+  for (const token of tokens) {
+    if (token.type !== TokenType.SEMICOLON && token.type !== TokenType.EOF) {
+      current.push(token);
+      continue;
+    }
+    // Empty statements (e.g. ";;") are skipped
+    if (current.length > 0) {
+      statements.push([...current, new Token(TokenType.EOF, '', token.start, token.start)]);
+    }
+    current = [];
+  }
+
+  return statements;
+}
@@ -22,14 +22,22 @@ export const TokenType = {
   LPAREN: 'LPAREN',
   RPAREN: 'RPAREN',
   STAR: 'STAR',
+  PLUS: 'PLUS',
+  MINUS: 'MINUS',
+  SLASH: 'SLASH',
   PERCENT: 'PERCENT',
+  CONCAT: 'CONCAT',
   EOF: 'EOF',
 };
 
 const KEYWORDS = new Set([
   'SELECT', 'FROM', 'WHERE', 'INNER', 'JOIN', 'ON',
-  'ORDER', 'BY', 'ASC', 'DESC', 'LIMIT', 'AND',
-  'GROUP', 'COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'LIKE', 'AS',
+  'LEFT', 'RIGHT', 'FULL', 'OUTER',
+  'ORDER', 'BY', 'ASC', 'DESC', 'LIMIT', 'OFFSET', 'FETCH', 'AND', 'OR', 'NOT',
+  'IN', 'BETWEEN', 'IS', 'EXISTS',
+  'CASE', 'WHEN', 'THEN', 'ELSE', 'END',
+  'UNION', 'INTERSECT', 'EXCEPT', 'ALL', 'WITH', 'OVER', 'PARTITION',
+  'GROUP', 'HAVING', 'COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'LIKE', 'AS',
   // Boolean and null literals
   'TRUE', 'FALSE', 'NULL',
   // DDL and DML keywords
@@ -37,9 +45,7 @@ const KEYWORDS = new Set([
   'INSERT', 'INTO', 'VALUES', 'UPDATE', 'SET', 'DELETE',
   // Constraint keywords
   'PRIMARY', 'KEY', 'AUTO_INCREMENT',
-  // Unsupported keywords for error detection
-  'HAVING', 'DISTINCT',
-  'OR', 'NOT', 'IN', 'BETWEEN', 'LEFT', 'RIGHT', 'OUTER', 'FULL',
+  'DISTINCT',
 ]);
 
 export class Token {
@@ -106,6 +112,22 @@ export class Tokenizer {
       } else if (char === '*') {
         this.tokens.push(new Token(TokenType.STAR, '*', this.pos, this.pos + 1));
         this.pos++;
+      } else if (char === '+') {
+        this.tokens.push(new Token(TokenType.PLUS, '+', this.pos, this.pos + 1));
+        this.pos++;
+      } else if (char === '-') {
+        this.tokens.push(new Token(TokenType.MINUS, '-', this.pos, this.pos + 1));
+        this.pos++;
+      } else if (char === '/') {
+        this.tokens.push(new Token(TokenType.SLASH, '/', this.pos, this.pos + 1));
+        this.pos++;
+      } else if (char === '|') {
+        if (this.pos + 1 < this.input.length && this.input[this.pos + 1] === '|') {
+          this.tokens.push(new Token(TokenType.CONCAT, '||', this.pos, this.pos + 2));
+          this.pos += 2;
+        } else {
+          throw createSyntaxError("Unexpected character: '|' (use || to join text)", this.pos);
+        }
       } else if (char === '%') {
         this.tokens.push(new Token(TokenType.PERCENT, '%', this.pos, this.pos + 1));
         this.pos++;
@@ -161,6 +183,13 @@ export class Tokenizer {
     while (this.pos < this.input.length && this.isDigit(this.input[this.pos])) {
       this.pos++;
     }
+    // Optional fractional part, e.g. 1.5 (a dot must be followed by a digit)
+    if (this.input[this.pos] === '.' && this.isDigit(this.input[this.pos + 1] || '')) {
+      this.pos++;
+      while (this.pos < this.input.length && this.isDigit(this.input[this.pos])) {
+        this.pos++;
+      }
+    }
     const value = this.input.substring(start, this.pos);
     this.tokens.push(new Token(TokenType.NUMBER, value, start, this.pos));
   }
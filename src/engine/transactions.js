@@ -0,0 +1,126 @@
+/**
+ * Transactions
+ * BEGIN saves a snapshot of every table's rows and the schema, so ROLLBACK can put
+ * them back; SAVEPOINT saves further snapshots inside the transaction for ROLLBACK TO
+ */
+
+import { createTransactionError } from './errors.js';
+
+/**
+ * The state kept between statements: whether a transaction is open, whether it has
+ * changed anything yet, the snapshot taken by BEGIN and the savepoints in order
+ */
+export function createTransactionState() {
+  return {
+    active: false,
+    modified: false,
+    snapshot: null,
+    savepoints: [],
+  };
+}
+
+/**
+ * Run BEGIN, COMMIT, ROLLBACK [TO name], SAVEPOINT name or RELEASE name, updating
+ * the transaction state and, for a rollback, putting the tables and schema back in place
+ */
+export function executeTransactionStatement(ast, transaction, tables, schema) {
+  const { action, savepoint, position } = ast;
+
+  if (action === 'BEGIN') {
+    if (transaction.active) {
+      throw createTransactionError('A transaction is already open', position);
+    }
+    Object.assign(transaction, createTransactionState(), {
+      active: true,
+      snapshot: takeSnapshot(tables, schema),
+    });
+    return transactionResult('Transaction started - changes can be undone with ROLLBACK until you COMMIT');
+  }
+
+  if (!transaction.active) {
+    const statement = action === 'ROLLBACK' && savepoint ? `ROLLBACK TO ${savepoint}` : action;
+    throw createTransactionError(`${statement} needs an open transaction`, position);
+  }
+
+  switch (action) {
+    case 'COMMIT':
+      Object.assign(transaction, createTransactionState());
+      return transactionResult('Transaction committed - its changes are now permanent');
+
+    case 'ROLLBACK': {
+      if (!savepoint) {
+        restoreSnapshot(transaction.snapshot, tables, schema);
+        Object.assign(transaction, createTransactionState());
+        return transactionResult('Transaction rolled back - all of its changes were undone', true);
+      }
+
+      // Later savepoints are dropped, but this one stays so it can be rolled back to again
+      const index = findSavepoint(transaction, savepoint, position);
+      const target = transaction.savepoints[index];
+      restoreSnapshot(target.snapshot, tables, schema);
+      transaction.savepoints.splice(index + 1);
+      transaction.modified = target.modified;
+      return transactionResult(`Rolled back to savepoint '${savepoint}' - the transaction is still open`, true);
+    }
+
+    case 'SAVEPOINT':
+      transaction.savepoints.push({
+        name: savepoint,
+        modified: transaction.modified,
+        snapshot: takeSnapshot(tables, schema),
+      });
+      return transactionResult(`Savepoint '${savepoint}' created`);
+
+    case 'RELEASE':
+      // Releasing keeps the changes and forgets the savepoint and any after it
+      transaction.savepoints.splice(findSavepoint(transaction, savepoint, position));
+      return transactionResult(`Savepoint '${savepoint}' released`);
+
+    default:
+      throw new Error(`Unknown transaction statement: ${action}`);
+  }
+}
+
+/**
+ * The position of the most recent savepoint with this name
+ */
+function findSavepoint(transaction, name, position) {
+  const index = transaction.savepoints.findLastIndex(saved => saved.name === name);
+  if (index === -1) {
+    throw createTransactionError(`There is no savepoint named '${name}' in this transaction`, position);
+  }
+  return index;
+}
+
+function takeSnapshot(tables, schema) {
+  return structuredClone({ tables, schema });
+}
+
+/**
+ * Put a snapshot's tables and schema back into the objects the caller holds. The snapshot
+ * is copied again so a savepoint can be rolled back to more than once
+ */
+function restoreSnapshot(snapshot, tables, schema) {
+  const copy = structuredClone(snapshot);
+  replaceContents(tables, copy.tables);
+  replaceContents(schema, copy.schema);
+}
+
+function replaceContents(target, source) {
+  for (const key of Object.keys(target)) {
+    delete target[key];
+  }
+  Object.assign(target, source);
+}
+
+function transactionResult(message, modified = false) {
+  return {
+    columns: ['Result'],
+    rows: [[message]],
+    meta: {
+      rowCount: 0,
+      warnings: [],
+      modified,
+    },
+  };
+}
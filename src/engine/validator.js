@@ -4,17 +4,51 @@
  */
 
 import {
+  SqlError,
+  ErrorCodes,
   createUnknownTableError,
   createUnknownColumnError,
   createAmbiguousColumnError,
   createSyntaxError,
+  createTypeMismatchError,
+  createInvalidDateError,
 } from './errors.js';
+import { resolveFunctionCall, getParamType, acceptsArgumentType } from './functions.js';
+import { isDateType, parseDateValue } from './dates.js';
+import { WINDOW_FUNCTIONS, WINDOW_AGGREGATES } from './windows.js';
+
+const ARITHMETIC_PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2, '%': 2 };
+
+// The tip for a value compared with, or stored in, something of another type
+const COMPARISON_TIP = 'compare numbers with numbers and text with text - put text in single quotes, but not numbers';
+
+// Two known types can be compared or mixed: DATE and DATETIME go together,
+// and text is allowed with dates because '2024-09-02' is written as a string
+function typesAgree(first, second) {
+  if (first === second) return true;
+  if (isDateType(first)) return isDateType(second) || second === 'string';
+  if (isDateType(second)) return first === 'string';
+  return false;
+}
+
+// The distinct known types in a list, or null if two of them can't be mixed
+function findTypeClash(types) {
+  const known = [...new Set(types.filter(Boolean))];
+  return known.some(type => !typesAgree(known[0], type)) ? known : null;
+}
 
 export class Validator {
-  constructor(ast, schema) {
+  constructor(ast, schema, parent = null) {
     this.ast = ast;
     this.schema = schema;
+    // The enclosing query's validator when this is a subquery, for correlated references
+    this.parent = parent;
+    // Validators for nested subqueries, keyed by their query AST node
+    this.subqueryValidators = new Map();
+    // Names that rows are keyed by: the alias if one was given, otherwise the table name
     this.tablesInScope = [];
+    // Column definitions for each name in tablesInScope
+    this.scopeColumns = {};
   }
 
   hasTable(tableName) {
@@ -33,23 +67,110 @@ export class Validator {
     return tableSchema.columns.map(col => col.name);
   }
 
-  validate() {
-    // Validate FROM table
-    if (!this.hasTable(this.ast.from.name)) {
-      throw createUnknownTableError(this.ast.from.name);
+  scopeHasColumn(scopeName, columnName) {
+    const columns = this.scopeColumns[scopeName] || [];
+    return columns.some(col => col.name === columnName);
+  }
+
+  getScopeColumns(scopeName) {
+    // Inner scopes shadow outer ones, so look here before asking the enclosing query
+    if (this.tablesInScope.includes(scopeName)) {
+      return this.scopeColumns[scopeName];
     }
-    this.tablesInScope.push(this.ast.from.name);
+    return this.parent ? this.parent.getScopeColumns(scopeName) : [];
+  }
 
-    // Validate JOIN table if present
-    if (this.ast.join) {
-      if (!this.hasTable(this.ast.join.table)) {
-        throw createUnknownTableError(this.ast.join.table);
+  addTableToScope(tableRef) {
+    let columns;
+    if (tableRef.type === 'DerivedTable') {
+      columns = this.getDerivedTableColumns(tableRef);
+    } else {
+      if (!this.hasTable(tableRef.name)) {
+        throw createUnknownTableError(tableRef.name, tableRef.position);
       }
-      this.tablesInScope.push(this.ast.join.table);
+      columns = this.schema[tableRef.name].columns;
+    }
+
+    const scopeName = tableRef.alias || tableRef.name;
+    if (this.tablesInScope.includes(scopeName)) {
+      throw new SqlError(
+        ErrorCodes.INVALID_QUERY,
+        `Table '${scopeName}' appears more than once in this query. Tip: give each copy its own alias, e.g. FROM students s1 JOIN students s2.`,
+        tableRef.position
+      );
+    }
+
+    this.tablesInScope.push(scopeName);
+    this.scopeColumns[scopeName] = columns;
+  }
+
+  getDerivedTableColumns(tableRef) {
+    // A derived table can't see the other tables in this FROM clause, only enclosing queries
+    const columns = this.validateMember(tableRef.query, this.schema).getResultColumns();
+    checkUniqueColumnNames(columns, `Derived table '${tableRef.alias}'`, tableRef.position);
+    return columns;
+  }
+
+  validateMember(query, schema) {
+    // Validate a query that is part of this one but has its own scope: a derived table,
+    // a side of a set operation or a CTE. Like this query, it can see enclosing queries
+    const memberValidator = new Validator(query, schema, this.parent);
+    memberValidator.validate();
+    this.subqueryValidators.set(query, memberValidator);
+    return memberValidator;
+  }
+
+  getResultColumns() {
+    // The name and type of each column this query returns
+    if (this.ast.type === 'SetOperation') {
+      return this.resultColumns;
+    }
+    if (this.ast.type === 'With') {
+      return this.subqueryValidators.get(this.ast.query).getResultColumns();
+    }
+    if (this.ast.select.star) {
+      return this.getStarColumns().map(col => ({
+        name: col.displayName,
+        type: this.getOperandType({ type: 'ColumnRef', table: col.table, column: col.column }),
+      }));
+    }
+    return this.ast.select.items.map(item => ({
+      name: this.getDerivedColumnName(item),
+      type: this.getOperandType(item),
+    }));
+  }
+
+  getDerivedColumnName(item) {
+    // How an outer query refers to this select item when it is a derived table column
+    if (item.alias) return item.alias;
+    if (item.type === 'ColumnRef') return item.column;
+    return this.describeOperand(item);
+  }
+
+  validate() {
+    if (this.ast.type === 'SetOperation') {
+      this.validateSetOperation();
+      return;
+    }
+    if (this.ast.type === 'With') {
+      this.validateWith();
+      return;
+    }
+    if (this.ast.type === 'Update' || this.ast.type === 'Delete') {
+      this.validateModification();
+      return;
+    }
+
+    // Validate FROM table
+    this.addTableToScope(this.ast.from);
+
+    // Validate each JOIN in order; an ON condition can see every table joined so far
+    for (const join of this.ast.joins) {
+      this.addTableToScope(join.table);
 
       // Validate JOIN ON columns
-      this.validateColumnRef(this.ast.join.on.left);
-      this.validateColumnRef(this.ast.join.on.right);
+      this.validateColumnRef(join.on.left);
+      this.validateColumnRef(join.on.right);
     }
 
     // Validate SELECT list
@@ -59,43 +180,362 @@ export class Validator {
       }
     }
 
-    // Validate GROUP BY
+    // Validate GROUP BY; each entry may be an expression, a SELECT alias or a position
     if (this.ast.groupBy) {
-      for (const column of this.ast.groupBy.columns) {
-        this.validateColumnRef(column);
-      }
+      this.ast.groupBy.expressions = this.ast.groupBy.expressions.map(
+        expression => this.validateGroupByExpression(expression)
+      );
+    }
 
-      // When GROUP BY is used, validate SELECT list items
-      if (!this.ast.select.star) {
-        this.validateSelectWithGroupBy();
+    // In a grouped query, validate SELECT list items; aggregates or HAVING without
+    // GROUP BY make the whole table one group
+    if (this.isAggregateQuery()) {
+      if (this.ast.select.star) {
+        throw new SqlError(
+          ErrorCodes.INVALID_QUERY,
+          `SELECT * can't be used with GROUP BY or HAVING, because each group becomes a single row. Tip: list the grouped columns and aggregates instead, e.g. SELECT tutor_group_id, COUNT(*).`,
+          this.ast.select.position ?? null
+        );
       }
+      this.validateSelectWithGroupBy();
     }
 
     // Validate WHERE clause
     if (this.ast.where) {
-      for (const comparison of this.ast.where.and) {
-        if (comparison.left.type === 'ColumnRef') {
-          this.validateColumnRef(comparison.left);
+      this.validateCondition(this.ast.where.condition);
+    }
+
+    // Validate HAVING: aggregates are allowed, bare columns must be grouped
+    if (this.ast.having) {
+      this.validateCondition(this.ast.having.condition, true);
+      this.validateHavingColumns();
+    }
+
+    // Window functions are worked out after grouping, so they can't filter or group rows
+    for (const [clause, node] of [['WHERE', this.ast.where], ['GROUP BY', this.ast.groupBy], ['HAVING', this.ast.having]]) {
+      const [windowFunction] = collectWindowFunctions(node);
+      if (windowFunction) {
+        throw new SqlError(
+          ErrorCodes.INVALID_QUERY,
+          `Window functions such as ${windowFunction.function}() OVER (...) can't be used in ${clause}. Tip: work them out in a CTE or derived table, then filter its rows in the outer query.`,
+          windowFunction.position
+        );
+      }
+    }
+
+    // Validate ORDER BY; each key may be an expression, a SELECT alias or a position,
+    // and aggregates are allowed when the query groups its rows
+    if (this.ast.orderBy) {
+      for (const item of this.ast.orderBy.items) {
+        const selected = this.resolveSelectReference(item.expression, 'ORDER BY', true);
+        if (selected) {
+          item.expression = selected;
+          continue;
         }
-        if (comparison.right.type === 'ColumnRef') {
-          this.validateColumnRef(comparison.right);
+
+        this.validateOperand(item.expression, this.isAggregateQuery(), 'ORDER BY');
+        if (this.isAggregateQuery()) {
+          this.checkGrouped(item.expression, 'ORDER BY');
+        }
+        if (this.ast.select.distinct) {
+          this.checkSelectedForDistinct(item.expression);
         }
       }
     }
+  }
 
-    // Validate ORDER BY
-    if (this.ast.orderBy) {
-      this.validateColumnRef(this.ast.orderBy.column);
+  validateModification() {
+    // UPDATE and DELETE work on one table: SET values and WHERE can use its columns,
+    // functions and subqueries. The executor has already checked the table and SET columns
+    const { tableName, assignments = [], where } = this.ast;
+    this.addTableToScope({ type: 'Table', name: tableName, alias: null });
+
+    // Each row is changed on its own, so there are no groups or windows of rows to work over
+    const [windowFunction] = collectWindowFunctions([assignments, where]);
+    if (windowFunction) {
+      throw new SqlError(
+        ErrorCodes.INVALID_QUERY,
+        `Window functions such as ${windowFunction.function}() OVER (...) can't be used in ${this.ast.type.toUpperCase()}. Tip: use them in a SELECT instead.`,
+        windowFunction.position
+      );
+    }
+
+    for (const assignment of assignments) {
+      if (containsAggregate(assignment.value)) {
+        throw new SqlError(
+          ErrorCodes.INVALID_QUERY,
+          `Aggregate functions can't be used directly in SET, because each row gets its own value. Tip: work the total out in a subquery, e.g. SET ${assignment.column} = (SELECT MAX(score) FROM grades).`,
+          assignment.value.position ?? null
+        );
+      }
+      this.validateOperand(assignment.value);
+
+      // The value must suit the column, e.g. no text in a number column
+      const column = this.scopeColumns[tableName].find(col => col.name === assignment.column);
+      const valueType = this.getOperandType(assignment.value);
+      if (valueType && !typesAgree(column.type, valueType)) {
+        throw createTypeMismatchError(
+          `${assignment.column} is a ${column.type} column, but ${this.describeOperand(assignment.value)} is a ${valueType}`,
+          assignment.value.position ?? null,
+          COMPARISON_TIP
+        );
+      }
+    }
+
+    if (where) {
+      this.validateCondition(where.condition);
+    }
+  }
+
+  validateSetOperation() {
+    // Each side of a UNION, INTERSECT or EXCEPT is its own query; the two must return
+    // the same number of columns, and each pair of columns must have types that can be mixed
+    const { operator, position } = this.ast;
+    const [left, right] = [this.ast.left, this.ast.right]
+      .map(member => this.validateMember(member, this.schema).getResultColumns());
+    checkMatchingColumns(operator, left, right, position);
+
+    // The result takes its column names from the first SELECT
+    this.resultColumns = left.map((column, index) => ({
+      name: column.name,
+      type: column.type || right[index].type,
+    }));
+
+    // ORDER BY on the combined result can only use its columns, by name or position
+    for (const item of this.ast.orderBy?.items || []) {
+      item.columnIndex = this.resolveResultColumn(item.expression);
     }
   }
 
+  resolveResultColumn(expression) {
+    const columns = this.resultColumns;
+
+    if (expression.type === 'Literal' && expression.valueType === 'number') {
+      if (!Number.isInteger(expression.value) || expression.value < 1 || expression.value > columns.length) {
+        throw new SqlError(
+          ErrorCodes.INVALID_QUERY,
+          `ORDER BY ${expression.value} doesn't match a column of the ${this.ast.operator} result, which has ${columns.length}. Tip: ORDER BY 1 means the first column.`,
+          expression.position
+        );
+      }
+      return expression.value - 1;
+    }
+
+    const index = expression.type === 'ColumnRef' && !expression.table
+      ? columns.findIndex(column => column.name === expression.column)
+      : -1;
+    if (index === -1) {
+      throw new SqlError(
+        ErrorCodes.INVALID_QUERY,
+        `ORDER BY after ${this.ast.operator} can only use the result's column names (${columns.map(column => column.name).join(', ')}) or positions. Tip: give an expression an alias with AS in the first SELECT and order by that.`,
+        expression.position ?? null
+      );
+    }
+    return index;
+  }
+
+  validateWith() {
+    // Each CTE is validated in turn, then acts as a table with the columns its query returns
+    // for the CTEs after it and for the main query
+    const schema = { ...this.schema };
+    const names = new Set();
+
+    for (const cte of this.ast.ctes) {
+      if (names.has(cte.name)) {
+        throw new SqlError(
+          ErrorCodes.INVALID_QUERY,
+          `WITH defines '${cte.name}' more than once. Tip: give each CTE its own name.`,
+          cte.position
+        );
+      }
+      names.add(cte.name);
+
+      // Only WITH RECURSIVE lets a CTE read itself; otherwise its own name inside it means the
+      // table (or earlier CTE) it shadows, e.g. WITH students AS (SELECT * FROM students ...)
+      cte.recursive = Boolean(this.ast.recursive) && referencesTable(cte.query, cte.name);
+
+      const columns = cte.recursive
+        ? this.validateRecursiveCte(cte, schema)
+        : this.nameCteColumns(cte, this.validateMember(cte.query, schema).getResultColumns());
+      schema[cte.name] = { columns };
+    }
+
+    this.cteSchema = schema;
+    this.validateMember(this.ast.query, schema);
+  }
+
+  validateRecursiveCte(cte, schema) {
+    // A recursive CTE is a starting SELECT, then UNION [ALL], then a SELECT that reads the
+    // CTE to build the next rows. Its columns come from the starting SELECT
+    const { name, query, position } = cte;
+    if (query.type !== 'SetOperation' || query.operator !== 'UNION' || referencesTable(query.left, name)) {
+      throw new SqlError(
+        ErrorCodes.INVALID_QUERY,
+        `Recursive CTE '${name}' must be a starting SELECT that doesn't use ${name}, then UNION or UNION ALL, then a SELECT that does. Tip: see the WITH RECURSIVE example in the guide.`,
+        position
+      );
+    }
+    if (query.orderBy || query.limit) {
+      throw new SqlError(
+        ErrorCodes.INVALID_QUERY,
+        `Recursive CTE '${name}' can't use ORDER BY or LIMIT. Tip: sort and limit in the main query instead.`,
+        position
+      );
+    }
+
+    const columns = this.nameCteColumns(cte, this.validateMember(query.left, schema).getResultColumns());
+    const recursiveColumns = this.validateMember(query.right, { ...schema, [name]: { columns } }).getResultColumns();
+    checkMatchingColumns('UNION', columns, recursiveColumns, query.position);
+
+    return columns;
+  }
+
+  nameCteColumns(cte, columns) {
+    // WITH name (a, b) AS (...) renames the columns the query returns
+    if (cte.columns) {
+      if (cte.columns.length !== columns.length) {
+        throw new SqlError(
+          ErrorCodes.INVALID_QUERY,
+          `CTE '${cte.name}' names ${cte.columns.length} columns, but its query returns ${columns.length}. Tip: list one name for each selected column.`,
+          cte.position
+        );
+      }
+      columns = columns.map((column, index) => ({ ...column, name: cte.columns[index] }));
+    }
+
+    checkUniqueColumnNames(columns, `CTE '${cte.name}'`, cte.position);
+    return columns;
+  }
+
+  validateGroupByExpression(expression) {
+    const selected = this.resolveSelectReference(expression, 'GROUP BY', false);
+    if (selected) {
+      return this.checkGroupable(selected, expression);
+    }
+
+    this.checkGroupable(expression, expression);
+    this.validateOperand(expression);
+    return expression;
+  }
+
+  resolveSelectReference(expression, clause, preferAlias) {
+    // GROUP BY and ORDER BY can name a SELECT item by its position (2 means the second item)
+    // or its alias. Returns that item, or null if the expression is an ordinary one
+    const items = this.getSelectListItems();
+
+    if (expression.type === 'Literal' && expression.valueType === 'number') {
+      if (!Number.isInteger(expression.value) || expression.value < 1 || expression.value > items.length) {
+        throw new SqlError(
+          ErrorCodes.INVALID_QUERY,
+          `${clause} ${expression.value} doesn't match an item in the SELECT list, which has ${items.length}. Tip: ${clause} 1 means the first selected column.`,
+          expression.position
+        );
+      }
+      return items[expression.value - 1];
+    }
+
+    // ORDER BY looks for an alias first; GROUP BY only when the name isn't a column
+    if (expression.type === 'ColumnRef' && !expression.table &&
+        (preferAlias || !this.tablesInScope.some(table => this.scopeHasColumn(table, expression.column)))) {
+      return items.find(item => item.alias === expression.column) || null;
+    }
+
+    return null;
+  }
+
+  getSelectListItems() {
+    // The SELECT list as expressions, with * expanded into its columns
+    if (!this.ast.select.star) {
+      return this.ast.select.items;
+    }
+    return this.getStarColumns().map(({ table, column }) => ({
+      type: 'ColumnRef',
+      table,
+      column,
+      resolvedTable: table,
+    }));
+  }
+
+  checkGroupable(expression, written) {
+    if (containsAggregate(expression)) {
+      throw createSyntaxError(
+        `GROUP BY can't use an aggregate such as ${this.describeOperand(expression)}. Group by plain columns or expressions, and filter on aggregates with HAVING`,
+        written.position
+      );
+    }
+    return expression;
+  }
+
+  checkGrouped(node, clause) {
+    // Outside aggregates, a grouped query can only use GROUP BY expressions
+    const column = this.findUngroupedColumn(node);
+    if (column) {
+      const where = clause === 'SELECT' ? '' : ` in ${clause}`;
+      throw createSyntaxError(
+        `Column '${column.column}'${where} must appear in GROUP BY clause or be used in an aggregate function`,
+        column.position
+      );
+    }
+  }
+
+  checkSelectedForDistinct(expression) {
+    // DISTINCT merges rows that only differ in unselected columns, so ORDER BY can only
+    // use what is selected; anything else would have no single value to sort each row by
+    const selectedKeys = this.getSelectListItems().map(expressionKey);
+    const findUnselected = node => {
+      if (!node || typeof node !== 'object') return null;
+      if (Array.isArray(node)) return node.map(findUnselected).find(Boolean) || null;
+      if (node.type && selectedKeys.includes(expressionKey(node))) return null;
+      if (['ColumnRef', 'AggregateFunction', 'WindowFunction'].includes(node.type)) return node;
+      return Object.entries(node)
+        .filter(([key]) => key !== 'query')
+        .map(([, value]) => findUnselected(value))
+        .find(Boolean) || null;
+    };
+
+    const unselected = findUnselected(expression);
+    if (unselected) {
+      throw new SqlError(
+        ErrorCodes.INVALID_QUERY,
+        `With SELECT DISTINCT, ORDER BY can only use selected columns or expressions, but ${this.describeOperand(unselected)} isn't selected. Tip: add it to the SELECT list, or order by one of the selected columns.`,
+        unselected.position ?? expression.position ?? null
+      );
+    }
+  }
+
+  findUngroupedColumn(node) {
+    // The first column reference that is neither part of a GROUP BY expression nor inside
+    // an aggregate function (or a subquery, which has its own scope). A correlated reference
+    // to an enclosing query has one value each time this query runs, so it counts as grouped
+    if (!node || typeof node !== 'object') return null;
+    if (Array.isArray(node)) {
+      return node.map(child => this.findUngroupedColumn(child)).find(Boolean) || null;
+    }
+
+    const groupKeys = (this.ast.groupBy?.expressions || []).map(expressionKey);
+    if (node.type && groupKeys.includes(expressionKey(node))) return null;
+    if (node.type === 'AggregateFunction') return null;
+    if (node.type === 'ColumnRef') {
+      return this.tablesInScope.includes(node.table || node.resolvedTable) ? node : null;
+    }
+
+    return Object.entries(node)
+      .filter(([key]) => key !== 'query')
+      .map(([, value]) => this.findUngroupedColumn(value))
+      .find(Boolean) || null;
+  }
+
   validateColumnRef(columnRef) {
     if (columnRef.table) {
       // Qualified column reference: table.column
       if (!this.tablesInScope.includes(columnRef.table)) {
+        // Correlated reference to a table in an enclosing query
+        if (this.parent) {
+          return this.parent.validateColumnRef(columnRef);
+        }
         throw createUnknownTableError(columnRef.table, columnRef.position);
       }
-      if (!this.hasColumn(columnRef.table, columnRef.column)) {
+      if (!this.scopeHasColumn(columnRef.table, columnRef.column)) {
         throw createUnknownColumnError(
           columnRef.column,
           columnRef.table,
@@ -105,10 +545,13 @@ export class Validator {
     } else {
       // Unqualified column reference: must exist in exactly one table
       const matchingTables = this.tablesInScope.filter(table =>
-        this.hasColumn(table, columnRef.column)
+        this.scopeHasColumn(table, columnRef.column)
       );
 
       if (matchingTables.length === 0) {
+        if (this.parent) {
+          return this.parent.validateColumnRef(columnRef);
+        }
         throw createUnknownColumnError(columnRef.column, null, columnRef.position);
       }
 
@@ -125,44 +568,484 @@ export class Validator {
     }
   }
 
-  validateSelectItem(item) {
-    if (item.type === 'AggregateFunction') {
-      // Validate aggregate function argument
-      if (item.argument.type === 'ColumnRef') {
-        this.validateColumnRef(item.argument);
+  validateCondition(condition, allowAggregates = false, clause = 'WHERE') {
+    if (condition.type === 'Logical') {
+      this.validateCondition(condition.left, allowAggregates, clause);
+      this.validateCondition(condition.right, allowAggregates, clause);
+    } else if (condition.type === 'Not') {
+      this.validateCondition(condition.operand, allowAggregates, clause);
+    } else if (condition.type === 'Comparison') {
+      this.validateOperand(condition.left, allowAggregates, clause);
+      this.validateOperand(condition.right, allowAggregates, clause);
+      if (condition.operator !== 'LIKE') {
+        this.checkDateComparison(condition, [condition.left, condition.right]);
       }
-      // Star (*) in COUNT(*) doesn't need validation
-    } else if (item.type === 'ColumnRef') {
-      this.validateColumnRef(item);
+    } else if (condition.type === 'InList') {
+      this.validateInList(condition, allowAggregates, clause);
+    } else if (condition.type === 'Between') {
+      this.validateBetween(condition, allowAggregates, clause);
+    } else if (condition.type === 'IsNull') {
+      this.validateOperand(condition.operand, allowAggregates, clause);
+    } else if (condition.type === 'InSubquery') {
+      this.validateOperand(condition.operand, allowAggregates, clause);
+      this.validateSubquery(condition.query, { singleColumn: 'IN (SELECT ...)' });
+    } else if (condition.type === 'Exists') {
+      this.validateSubquery(condition.query);
     }
+    // TRUE/FALSE literals need no validation
   }
 
-  validateSelectWithGroupBy() {
-    // When GROUP BY is present, SELECT items must be either:
-    // 1. A column in the GROUP BY clause
-    // 2. An aggregate function
-    
-    const groupByColumns = this.ast.groupBy.columns.map(col => {
-      const table = col.table || col.resolvedTable;
-      return `${table}.${col.column}`;
+  validateSubquery(query, { singleColumn = null } = {}) {
+    // A subquery gets its own scope; names it can't resolve are looked up in this one
+    const subValidator = new Validator(query, this.schema, this);
+    subValidator.validate();
+    this.subqueryValidators.set(query, subValidator);
+
+    if (singleColumn) {
+      const columnCount = subValidator.getResultColumns().length;
+      if (columnCount !== 1) {
+        throw new SqlError(
+          ErrorCodes.INVALID_QUERY,
+          `A subquery used in ${singleColumn} must return exactly one column, but this one returns ${columnCount}. Tip: select a single column inside the brackets.`,
+          query.position ?? query.select.items[0]?.position ?? null
+        );
+      }
+    }
+
+    return subValidator;
+  }
+
+  validateOperand(operand, allowAggregates = false, clause = 'WHERE') {
+    // clause names where the operand is, for the error when aggregates aren't allowed there
+    if (operand.type === 'ColumnRef') {
+      this.validateColumnRef(operand);
+    } else if (operand.type === 'AggregateFunction') {
+      if (!allowAggregates) {
+        const tip = clause === 'WHERE'
+          ? 'Use HAVING to filter on aggregates after GROUP BY'
+          : 'Use GROUP BY to work out aggregates for groups of rows, or an aggregate over the whole table in the SELECT list';
+        throw createSyntaxError(
+          `Aggregate function ${operand.function}() cannot be used in ${clause}. ${tip}`,
+          operand.position
+        );
+      }
+      this.validateSelectItem(operand);
+    } else if (operand.type === 'Subquery') {
+      this.validateSubquery(operand.query, { singleColumn: 'a value position' });
+    } else if (operand.type === 'Case') {
+      this.validateCase(operand, allowAggregates, clause);
+    } else if (operand.type === 'Arithmetic' || operand.type === 'Negate') {
+      this.validateArithmetic(operand, allowAggregates, clause);
+    } else if (operand.type === 'FunctionCall') {
+      this.validateFunctionCall(operand, allowAggregates, clause);
+    } else if (operand.type === 'Concat') {
+      // || accepts any values and turns them into text
+      this.validateOperand(operand.left, allowAggregates, clause);
+      this.validateOperand(operand.right, allowAggregates, clause);
+    } else if (operand.type === 'WindowFunction') {
+      this.validateWindowFunction(operand, allowAggregates, clause);
+    }
+  }
+
+  validateWindowFunction(windowFunction, allowAggregates = false, clause = 'WHERE') {
+    const { function: name, args, partitionBy, orderBy, position } = windowFunction;
+
+    const [nested] = collectWindowFunctions([args, partitionBy, orderBy]);
+    if (nested) {
+      throw new SqlError(
+        ErrorCodes.INVALID_QUERY,
+        `Window functions can't be nested: ${nested.function}() OVER (...) is inside ${name}() OVER (...). Tip: work out the inner one in a CTE or derived table first.`,
+        nested.position
+      );
+    }
+
+    // The function's values, partitions and order are worked out after grouping,
+    // so they can use aggregates in a grouped query
+    for (const arg of args) {
+      if (arg.type !== 'Star') this.validateOperand(arg, allowAggregates, clause);
+    }
+
+    if (Object.hasOwn(WINDOW_FUNCTIONS, name)) {
+      const fn = WINDOW_FUNCTIONS[name];
+      if (args.length < fn.minArgs || args.length > fn.maxArgs) {
+        const arity = fn.minArgs === fn.maxArgs
+          ? `${fn.minArgs} argument${fn.minArgs === 1 ? '' : 's'}`
+          : `${fn.minArgs} to ${fn.maxArgs} arguments`;
+        throw new SqlError(
+          ErrorCodes.INVALID_QUERY,
+          `${name}() takes ${arity}, but was given ${args.length}. Tip: write it as ${fn.usage}.`,
+          position
+        );
+      }
+
+      // LAG(score, 2) counts rows, so it needs a whole number written in the query
+      const [value, offset, fallback] = args;
+      if (fn.offsetArgument && offset &&
+          !(offset.type === 'Literal' && Number.isInteger(offset.value) && offset.value >= 0)) {
+        throw new SqlError(
+          ErrorCodes.INVALID_QUERY,
+          `The number of rows in ${name}() must be a whole number of 0 or more, such as ${name}(score, 1). Tip: write it as ${fn.usage}.`,
+          offset.position ?? position
+        );
+      }
+      if (fn.offsetArgument && fallback) {
+        const clash = findTypeClash([this.getOperandType(value), this.getOperandType(fallback)]);
+        if (clash) {
+          throw createTypeMismatchError(
+            `the default in ${name}() is a ${clash[1]} but ${this.describeOperand(value)} is a ${clash[0]}`,
+            fallback.position ?? position,
+            `give a default of the same type as ${this.describeOperand(value)}, e.g. ${name}(score, 1, 0)`
+          );
+        }
+      }
+    } else if (!WINDOW_AGGREGATES.includes(name)) {
+      throw new SqlError(
+        ErrorCodes.INVALID_QUERY,
+        `${name}() can't be used with OVER (...). Tip: the window functions are ${[...Object.keys(WINDOW_FUNCTIONS), ...WINDOW_AGGREGATES].join(', ')}.`,
+        position
+      );
+    }
+
+    for (const expression of partitionBy) {
+      this.validateOperand(expression, allowAggregates, clause);
+    }
+    for (const item of orderBy) {
+      this.validateOperand(item.expression, allowAggregates, clause);
+    }
+  }
+
+  validateFunctionCall(call, allowAggregates = false, clause = 'WHERE') {
+    const fn = resolveFunctionCall(call);
+
+    call.args.forEach((arg, index) => {
+      this.validateOperand(arg, allowAggregates, clause);
+
+      const expectedType = getParamType(fn, index);
+
+      // Text such as '2024-09-02' can be written where a date is expected
+      if (expectedType === 'date' && arg.type === 'Literal' && arg.valueType === 'string') {
+        if (parseDateValue(arg.value, 'datetime') === null) {
+          throw createInvalidDateError(arg.value, 'date', arg.position);
+        }
+        return;
+      }
+
+      const argType = this.getOperandType(arg);
+      if (argType && !acceptsArgumentType(expectedType, argType)) {
+        throw createTypeMismatchError(
+          `${call.name}() needs a ${expectedType} as argument ${index + 1}, but ${this.describeOperand(arg)} is a ${argType}`,
+          arg.position,
+          `write it as ${fn.usage}`
+        );
+      }
     });
 
-    for (const item of this.ast.select.items) {
-      if (item.type === 'ColumnRef') {
-        const table = item.table || item.resolvedTable;
-        const fullColName = `${table}.${item.column}`;
-        
-        if (!groupByColumns.includes(fullColName)) {
+    // COALESCE, IFNULL and NULLIF choose between their arguments, so they must agree
+    if (fn.sameType) {
+      const argTypes = findTypeClash(call.args.map(arg => this.getOperandType(arg)));
+      if (argTypes) {
+        throw createTypeMismatchError(
+          `the arguments of ${call.name}() mix ${argTypes.join(' and ')} values`,
+          call.position,
+          `${call.name}() returns one of its arguments, so give them all the same type, e.g. COALESCE(score, 0)`
+        );
+      }
+
+      // Next to a date, text is only allowed when it is a date written in quotes,
+      // so the result is always a date
+      const types = call.args.map(arg => this.getOperandType(arg));
+      const dateIndex = types.findIndex(isDateType);
+      const text = call.args.find((arg, index) => types[index] === 'string' &&
+        !(arg.type === 'Literal' && parseDateValue(arg.value, 'datetime') !== null));
+      if (dateIndex !== -1 && text) {
+        throw createTypeMismatchError(
+          `the arguments of ${call.name}() mix ${types[dateIndex]} and string values: ${this.describeOperand(text)} is not a date`,
+          text.position ?? call.position,
+          "use a date written in quotes, such as '2024-09-02', as the fallback"
+        );
+      }
+    }
+  }
+
+  validateArithmetic(expression, allowAggregates = false, clause = 'WHERE') {
+    // Arithmetic only works on numbers (NULL is allowed and gives NULL)
+    const operands = expression.type === 'Negate'
+      ? [expression.operand]
+      : [expression.left, expression.right];
+    const operator = expression.type === 'Negate' ? '-' : expression.operator;
+
+    for (const operand of operands) {
+      this.validateOperand(operand, allowAggregates, clause);
+
+      const operandType = this.getOperandType(operand);
+      if (operandType && operandType !== 'number') {
+        throw createTypeMismatchError(
+          `'${operator}' needs numbers, but ${this.describeOperand(operand)} is a ${operandType}`,
+          operand.position,
+          'use || or CONCAT() to join text'
+        );
+      }
+    }
+  }
+
+  validateCase(caseExpr, allowAggregates = false, clause = 'WHERE') {
+    for (const { condition, result } of caseExpr.whens) {
+      this.validateCondition(condition, allowAggregates, clause);
+      this.validateOperand(result, allowAggregates, clause);
+    }
+    if (caseExpr.else) {
+      this.validateOperand(caseExpr.else, allowAggregates, clause);
+    }
+
+    // Every branch must produce the same type of value (NULL fits any)
+    const results = [...caseExpr.whens.map(when => when.result), caseExpr.else].filter(Boolean);
+    const resultTypes = findTypeClash(results.map(result => this.getOperandType(result)));
+    if (resultTypes) {
+      throw createTypeMismatchError(
+        `the branches of this CASE return ${resultTypes.join(' and ')} values`,
+        caseExpr.position,
+        'make every THEN and the ELSE give the same type of value'
+      );
+    }
+  }
+
+  isAggregateQuery() {
+    return Boolean(this.ast.groupBy) || Boolean(this.ast.having) ||
+      (!this.ast.select.star && this.ast.select.items.some(item => containsAggregate(item)));
+  }
+
+  validateInList(condition, allowAggregates = false, clause = 'WHERE') {
+    this.validateOperand(condition.operand, allowAggregates, clause);
+
+    // Every non-NULL value in the list must share one type
+    const listTypes = [...new Set(
+      condition.values.map(value => value.valueType).filter(type => type !== 'null')
+    )];
+    if (findTypeClash(listTypes)) {
+      throw createTypeMismatchError(
+        `the IN list mixes ${listTypes.join(' and ')} values`,
+        condition.position,
+        COMPARISON_TIP
+      );
+    }
+
+    const operandType = this.getOperandType(condition.operand);
+    const clashingType = listTypes.find(type => !typesAgree(operandType, type));
+    if (operandType && clashingType) {
+      throw createTypeMismatchError(
+        `${this.describeOperand(condition.operand)} is a ${operandType} but the IN list contains ${clashingType} values`,
+        condition.position,
+        COMPARISON_TIP
+      );
+    }
+
+    this.checkDateComparison(condition, [condition.operand, ...condition.values]);
+  }
+
+  validateBetween(condition, allowAggregates = false, clause = 'WHERE') {
+    for (const operand of [condition.operand, condition.low, condition.high]) {
+      this.validateOperand(operand, allowAggregates, clause);
+    }
+
+    const operandType = this.getOperandType(condition.operand);
+    for (const bound of [condition.low, condition.high]) {
+      const boundType = this.getOperandType(bound);
+      if (operandType && boundType && !typesAgree(operandType, boundType)) {
+        throw createTypeMismatchError(
+          `${this.describeOperand(condition.operand)} is a ${operandType} but BETWEEN uses the ${boundType} ${this.describeOperand(bound)}`,
+          bound.position,
+          COMPARISON_TIP
+        );
+      }
+    }
+
+    this.checkDateComparison(condition, [condition.operand, condition.low, condition.high]);
+  }
+
+  checkDateComparison(condition, operands) {
+    // Text compared with a DATE or DATETIME is read as a date, so it must be a real one;
+    // comparesDates tells the executor to compare both sides in one ISO format
+    const types = operands.map(operand => this.getOperandType(operand));
+    const dateIndex = types.findIndex(isDateType);
+    if (dateIndex === -1) return;
+
+    for (const operand of operands) {
+      if (operand.type === 'Literal' && operand.valueType === 'string' && parseDateValue(operand.value, 'datetime') === null) {
+        throw createTypeMismatchError(
+          `${this.describeOperand(operands[dateIndex])} is a ${types[dateIndex]}, but '${operand.value}' is not a real date in the form 'YYYY-MM-DD' or 'YYYY-MM-DD HH:MM:SS'`,
+          operand.position
+        );
+      }
+    }
+    condition.comparesDates = true;
+  }
+
+  getOperandType(operand) {
+    // Returns 'number', 'string' or 'boolean', or null when the type is unknown (e.g. NULL)
+    if (operand.type === 'Literal') {
+      return operand.valueType === 'null' ? null : operand.valueType;
+    }
+
+    if (operand.type === 'ColumnRef') {
+      const scopeName = operand.table || operand.resolvedTable;
+      const column = this.getScopeColumns(scopeName).find(col => col.name === operand.column);
+      return column?.type || null;
+    }
+
+    if (operand.type === 'Subquery') {
+      // A scalar subquery has the type of its single column
+      const subValidator = this.subqueryValidators.get(operand.query);
+      return subValidator?.getResultColumns()[0]?.type ?? null;
+    }
+
+    if (operand.type === 'Case') {
+      // validateCase has already checked that every branch agrees
+      const results = [...operand.whens.map(when => when.result), operand.else].filter(Boolean);
+      return results.map(result => this.getOperandType(result)).find(Boolean) || null;
+    }
+
+    if (operand.type === 'Arithmetic' || operand.type === 'Negate') {
+      return 'number';
+    }
+
+    if (operand.type === 'Concat') {
+      return 'string';
+    }
+
+    if (operand.type === 'FunctionCall') {
+      // validateFunctionCall has already checked the name and arguments
+      const fn = resolveFunctionCall(operand);
+      if (fn.sameType) {
+        return operand.args.map(arg => this.getOperandType(arg)).find(Boolean) || null;
+      }
+      return fn.returns;
+    }
+
+    if (operand.type === 'AggregateFunction') {
+      // MIN/MAX keep their argument's type; COUNT, SUM and AVG are always numbers
+      if (['MIN', 'MAX'].includes(operand.function)) {
+        return this.getOperandType(operand.argument);
+      }
+      return 'number';
+    }
+
+    if (operand.type === 'WindowFunction') {
+      // Ranks, counts, totals and averages are numbers; MIN, MAX, LAG and LEAD keep their argument's type
+      const keepsType = ['MIN', 'MAX'].includes(operand.function) ||
+        WINDOW_FUNCTIONS[operand.function]?.returnsArgumentType;
+      return keepsType ? this.getOperandType(operand.args[0]) : 'number';
+    }
+
+    return null;
+  }
+
+  describeOperand(operand) {
+    if (operand.type === 'ColumnRef') {
+      return operand.table ? `${operand.table}.${operand.column}` : operand.column;
+    }
+    if (operand.type === 'AggregateFunction') {
+      const argument = operand.argument.type === 'Star' ? '*' : this.describeOperand(operand.argument);
+      return `${operand.function}(${operand.distinct ? 'DISTINCT ' : ''}${argument})`;
+    }
+    if (operand.type === 'Subquery') {
+      return 'the subquery';
+    }
+    if (operand.type === 'Case') {
+      return 'CASE';
+    }
+    if (operand.type === 'Arithmetic') {
+      // Bracket a side that would otherwise read differently, e.g. (a + b) * 2
+      const describeSide = (side, isRight) => {
+        const text = this.describeOperand(side);
+        if (side.type !== 'Arithmetic') return text;
+        const sidePrecedence = ARITHMETIC_PRECEDENCE[side.operator];
+        const ownPrecedence = ARITHMETIC_PRECEDENCE[operand.operator];
+        const needsBrackets = sidePrecedence < ownPrecedence || (isRight && sidePrecedence === ownPrecedence);
+        return needsBrackets ? `(${text})` : text;
+      };
+      return `${describeSide(operand.left, false)} ${operand.operator} ${describeSide(operand.right, true)}`;
+    }
+    if (operand.type === 'Negate') {
+      return `-${this.describeOperand(operand.operand)}`;
+    }
+    if (operand.type === 'Concat') {
+      return `${this.describeOperand(operand.left)} || ${this.describeOperand(operand.right)}`;
+    }
+    if (operand.type === 'WindowFunction') {
+      // e.g. RANK() OVER (PARTITION BY module ORDER BY score DESC)
+      const args = operand.args.map(arg => (arg.type === 'Star' ? '*' : this.describeOperand(arg)));
+      const window = [];
+      if (operand.partitionBy.length > 0) {
+        window.push(`PARTITION BY ${operand.partitionBy.map(expression => this.describeOperand(expression)).join(', ')}`);
+      }
+      if (operand.orderBy.length > 0) {
+        const keys = operand.orderBy.map(({ expression, direction, nulls }) =>
+          [this.describeOperand(expression), direction === 'DESC' ? 'DESC' : '', nulls ? `NULLS ${nulls}` : '']
+            .filter(Boolean).join(' '));
+        window.push(`ORDER BY ${keys.join(', ')}`);
+      }
+      return `${operand.function}(${args.join(', ')}) OVER (${window.join(' ')})`;
+    }
+    if (operand.type === 'FunctionCall') {
+      // CURRENT_DATE is written without brackets
+      if (operand.args.length === 0) return operand.name;
+      return `${operand.name}(${operand.args.map(arg => this.describeOperand(arg)).join(', ')})`;
+    }
+    if (operand.type === 'Literal' && operand.valueType === 'string') {
+      return `'${operand.value}'`;
+    }
+    if (operand.type === 'Literal' && operand.valueType === 'null') {
+      return 'NULL';
+    }
+    if (operand.type === 'Literal' && isDateType(operand.valueType)) {
+      return `${operand.valueType.toUpperCase()} '${operand.value}'`;
+    }
+    return String(operand.value);
+  }
+
+  validateSelectItem(item) {
+    if (item.type === 'AggregateFunction') {
+      // Validate aggregate function argument, which can be any expression without aggregates;
+      // Star (*) in COUNT(*) doesn't need validation
+      if (item.argument.type !== 'Star') {
+        if (containsAggregate(item.argument)) {
           throw createSyntaxError(
-            `Column '${item.column}' must appear in GROUP BY clause or be used in an aggregate function`,
+            `Aggregate functions can't be nested: ${this.describeOperand(item)}`,
             item.position
           );
         }
+        const [windowFunction] = collectWindowFunctions(item.argument);
+        if (windowFunction) {
+          throw new SqlError(
+            ErrorCodes.INVALID_QUERY,
+            `${windowFunction.function}() OVER (...) can't be used inside ${item.function}(). Tip: work it out in a CTE or derived table first.`,
+            windowFunction.position
+          );
+        }
+        this.validateOperand(item.argument);
       }
-      // Aggregate functions are allowed
+    } else if (item.type === 'ColumnRef') {
+      this.validateColumnRef(item);
+    } else if (item.type === 'Subquery') {
+      this.validateSubquery(item.query, { singleColumn: 'the SELECT list' });
+    } else {
+      // Literals, CASE and arithmetic; aggregates inside them are fine in the SELECT list
+      this.validateOperand(item, true);
     }
   }
 
+  validateSelectWithGroupBy() {
+    // In a grouped query, SELECT items must be built from:
+    // 1. GROUP BY expressions (or columns)
+    // 2. Aggregate functions
+    // 3. Literals
+    this.checkGrouped(this.ast.select.items, 'SELECT');
+  }
+
+  validateHavingColumns() {
+    this.checkGrouped(this.ast.having.condition, 'HAVING');
+  }
+
   /**
    * Get all columns that should be in the output for SELECT *
    */
@@ -170,8 +1053,7 @@ export class Validator {
     const columns = [];
     
     for (const tableName of this.tablesInScope) {
-      const tableColumns = this.getTableColumns(tableName);
-      for (const col of tableColumns) {
+      for (const { name: col } of this.scopeColumns[tableName]) {
         columns.push({
           table: tableName,
           column: col,
@@ -184,6 +1066,95 @@ export class Validator {
   }
 }
 
+/**
+ * Check that two queries combined by a set operation return the same number of columns,
+ * and that each pair of columns has types that can be mixed
+ */
+function checkMatchingColumns(operator, left, right, position) {
+  if (left.length !== right.length) {
+    throw new SqlError(
+      ErrorCodes.INVALID_QUERY,
+      `Both sides of ${operator} must return the same number of columns, but the first returns ${left.length} and the second returns ${right.length}. Tip: list matching columns in each SELECT.`,
+      position
+    );
+  }
+
+  left.forEach((column, index) => {
+    const clash = findTypeClash([column.type, right[index].type]);
+    if (clash) {
+      throw createTypeMismatchError(
+        `column ${index + 1} of ${operator} is a ${clash[0]} in the first SELECT but a ${clash[1]} in the second`,
+        position,
+        'list columns of the same type in the same order in each SELECT'
+      );
+    }
+  });
+}
+
+/**
+ * Check that a derived table or CTE doesn't return two columns with the same name,
+ * which the outer query couldn't tell apart
+ */
+function checkUniqueColumnNames(columns, description, position) {
+  const seen = new Set();
+  for (const col of columns) {
+    if (seen.has(col.name)) {
+      throw new SqlError(
+        ErrorCodes.INVALID_QUERY,
+        `${description} has more than one column named '${col.name}'. Tip: give the columns different aliases with AS.`,
+        position
+      );
+    }
+    seen.add(col.name);
+  }
+}
+
+/**
+ * Check whether a query reads the named table anywhere, including in its subqueries
+ */
+function referencesTable(node, name) {
+  if (!node || typeof node !== 'object') return false;
+  if (Array.isArray(node)) return node.some(child => referencesTable(child, name));
+  if (node.type === 'Table' && node.name === name) return true;
+  return Object.values(node).some(value => referencesTable(value, name));
+}
+
+/**
+ * A key that is the same for two expressions written the same way, e.g. UPPER(module)
+ * in GROUP BY and in the SELECT list. Column references use their resolved table
+ */
+function expressionKey(node) {
+  return JSON.stringify(node, (key, value) => {
+    if (key === 'position' || key === 'alias') return undefined;
+    if (value && value.type === 'ColumnRef') return `${value.table || value.resolvedTable}.${value.column}`;
+    return value;
+  });
+}
+
+/**
+ * Check whether an expression uses an aggregate function outside of any subquery
+ */
+export function containsAggregate(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (Array.isArray(node)) return node.some(containsAggregate);
+  if (node.type === 'AggregateFunction') return true;
+
+  // Aggregates inside a subquery belong to that subquery
+  return Object.entries(node).some(([key, value]) => key !== 'query' && containsAggregate(value));
+}
+
+/**
+ * The window functions in an expression, outside of any subquery
+ */
+export function collectWindowFunctions(node) {
+  if (!node || typeof node !== 'object') return [];
+  if (Array.isArray(node)) return node.flatMap(collectWindowFunctions);
+  if (node.type === 'WindowFunction') return [node];
+
+  // Window functions inside a subquery belong to that subquery
+  return Object.entries(node).flatMap(([key, value]) => (key === 'query' ? [] : collectWindowFunctions(value)));
+}
+
 export function validate(ast, schema) {
   const validator = new Validator(ast, schema);
   validator.validate();
@@ -0,0 +1,72 @@
+/**
+ * Window Functions
+ * Functions used with OVER (...), whose value for a row depends on the other rows
+ * in the same partition (ROW_NUMBER, RANK, LAG, running totals, ...)
+ */
+
+// Aggregates can also be used with OVER (...); the executor works those out as running totals
+export const WINDOW_AGGREGATES = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+
+// Each entry describes a function that can only be used with OVER (...):
+// - minArgs / maxArgs: how many arguments it takes
+// - offsetArgument: the second argument is a number of rows, and the third a default value
+// - returnsArgumentType: the result has the type of the first argument, otherwise a number
+// - usage: shown in error messages
+// - evaluate: gets the partition's rows in window order as { args, peer }, where args are the
+//   row's argument values and peer counts up each time the ORDER BY values change, and
+//   returns one value for each row
+export const WINDOW_FUNCTIONS = {
+  ROW_NUMBER: {
+    minArgs: 0,
+    maxArgs: 0,
+    usage: 'ROW_NUMBER() OVER (ORDER BY ...)',
+    evaluate: entries => entries.map((_, index) => index + 1),
+  },
+  RANK: {
+    minArgs: 0,
+    maxArgs: 0,
+    usage: 'RANK() OVER (ORDER BY ...)',
+    // Ties share a rank, and the ranks after them are skipped (1, 2, 2, 4)
+    evaluate: entries => {
+      let rank = 0;
+      return entries.map((entry, index) => {
+        if (index === 0 || entry.peer !== entries[index - 1].peer) rank = index + 1;
+        return rank;
+      });
+    },
+  },
+  DENSE_RANK: {
+    minArgs: 0,
+    maxArgs: 0,
+    usage: 'DENSE_RANK() OVER (ORDER BY ...)',
+    // Ties share a rank, and no ranks are skipped (1, 2, 2, 3)
+    evaluate: entries => entries.map(entry => entry.peer + 1),
+  },
+  LAG: {
+    minArgs: 1,
+    maxArgs: 3,
+    offsetArgument: true,
+    returnsArgumentType: true,
+    usage: 'LAG(value [, rows_back [, default]]) OVER (ORDER BY ...)',
+    evaluate: entries => shiftedValues(entries, -1),
+  },
+  LEAD: {
+    minArgs: 1,
+    maxArgs: 3,
+    offsetArgument: true,
+    returnsArgumentType: true,
+    usage: 'LEAD(value [, rows_ahead [, default]]) OVER (ORDER BY ...)',
+    evaluate: entries => shiftedValues(entries, 1),
+  },
+};
+
+/**
+ * The value from the row a number of rows before (-1) or after (1) each row,
+ * or the default (NULL unless given) when there is no such row in the partition
+ */
+function shiftedValues(entries, direction) {
+  return entries.map(({ args: [, offset = 1, fallback = null] }, index) => {
+    const other = entries[index + direction * offset];
+    return other ? other.args[0] : fallback;
+  });
+}
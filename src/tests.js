@@ -3,9 +3,10 @@
  * Can be run in Node (npm test) or in the browser console via runTests().
  */
 
-import { executeQuery } from './engine/executor.js';
+import { executeQuery, executeScript } from './engine/executor.js';
 import { sampleData } from './data/sampleData.js';
 import { schema } from './data/schema.js';
+import { formatCellValue } from './components/formatValue.js';
 
 const clone = obj => JSON.parse(JSON.stringify(obj));
 
@@ -34,6 +35,12 @@ export const testCases = [
       }
     },
   },
+  {
+    name: 'SELECT DISTINCT cannot ORDER BY an unselected column',
+    queries: ['SELECT DISTINCT tutor_group_id FROM students ORDER BY forename'],
+    shouldPass: false,
+    expectedErrorSubstring: "With SELECT DISTINCT, ORDER BY can only use selected columns or expressions, but forename isn't selected",
+  },
   {
     name: 'WHERE FALSE returns zero rows',
     queries: ['SELECT * FROM students WHERE FALSE'],
@@ -135,23 +142,1339 @@ export const testCases = [
     shouldPass: false,
     expectedErrorSubstring: 'type number',
   },
-];
+  {
+    name: 'LEFT JOIN keeps unmatched rows with NULL padding',
+    queries: [
+      'CREATE TABLE pupils (id INT PRIMARY KEY, name TEXT)',
+      'CREATE TABLE marks (pupil_id INT, mark INT)',
+      "INSERT INTO pupils (id, name) VALUES (1, 'Ann')",
+      "INSERT INTO pupils (id, name) VALUES (2, 'Ben')",
+      'INSERT INTO marks (pupil_id, mark) VALUES (1, 70)',
+      'SELECT pupils.name, marks.mark FROM pupils LEFT JOIN marks ON pupils.id = marks.pupil_id ORDER BY pupils.name',
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [['Ann', 70], ['Ben', null]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'RIGHT and FULL OUTER JOIN pad the missing side with NULL',
+    queries: [
+      'CREATE TABLE pupils (id INT PRIMARY KEY, name TEXT)',
+      'CREATE TABLE marks (pupil_id INT, mark INT)',
+      "INSERT INTO pupils (id, name) VALUES (1, 'Ann')",
+      "INSERT INTO pupils (id, name) VALUES (2, 'Ben')",
+      'INSERT INTO marks (pupil_id, mark) VALUES (1, 70)',
+      'INSERT INTO marks (pupil_id, mark) VALUES (3, 55)',
+      'SELECT pupils.name, marks.mark FROM pupils RIGHT JOIN marks ON pupils.id = marks.pupil_id',
+    ],
+    shouldPass: true,
+    assert: (result, tables, schemaCopy) => {
+      const expected = [['Ann', 70], [null, 55]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
 
-export function runTests({ silent = false } = {}) {
-  if (!silent) {
-    console.log('🧪 Running SQL Engine Tests...\n');
-  }
+      const full = executeQuery({
+        queryText: 'SELECT pupils.name, marks.mark FROM pupils FULL OUTER JOIN marks ON pupils.id = marks.pupil_id',
+        tables,
+        schema: schemaCopy,
+      });
+      const expectedFull = [['Ann', 70], ['Ben', null], [null, 55]];
+      if (JSON.stringify(full.rows) !== JSON.stringify(expectedFull)) {
+        throw new Error(`Expected ${JSON.stringify(expectedFull)}, got ${JSON.stringify(full.rows)}`);
+      }
+    },
+  },
+  {
+    name: 'Multiple JOINs chain students, grades and tutor_groups',
+    queries: [
+      `SELECT students.forename, tutor_groups.tutor_name, grades.score
+       FROM students
+       INNER JOIN grades ON students.student_id = grades.student_id
+       INNER JOIN tutor_groups ON students.tutor_group_id = tutor_groups.tutor_group_id
+       WHERE grades.module = 'Databases' AND grades.paper = 3 AND students.student_id = 1`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [['Alice', 'Clive Anderson', 94]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'SELECT * across three joined tables qualifies every column',
+    queries: [
+      `SELECT * FROM students
+       JOIN grades ON students.student_id = grades.student_id
+       JOIN tutor_groups ON students.tutor_group_id = tutor_groups.tutor_group_id
+       LIMIT 1`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      if (result.columns.length !== 11 || result.columns[10] !== 'tutor_groups.room') {
+        throw new Error(`Unexpected columns: ${JSON.stringify(result.columns)}`);
+      }
+    },
+  },
+  {
+    name: 'Table aliases work in FROM, JOIN and column references',
+    queries: [
+      `SELECT s.forename, t.tutor_name
+       FROM students AS s
+       JOIN tutor_groups t ON s.tutor_group_id = t.tutor_group_id
+       WHERE s.student_id = 3`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [['Charlie', 'Amelia Bennett']];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'Self-join pairs students in the same tutor group',
+    queries: [
+      `SELECT a.forename, b.forename
+       FROM students a
+       JOIN students b ON a.tutor_group_id = b.tutor_group_id
+       WHERE a.student_id = 5 AND b.student_id != 5
+       ORDER BY b.forename`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [['Eve', 'Frank'], ['Eve', 'Iris']];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'Joining the same table twice without aliases is rejected',
+    queries: ['SELECT * FROM students JOIN students ON students.student_id = students.student_id'],
+    shouldPass: false,
+    expectedErrorSubstring: 'appears more than once',
+  },
+  {
+    name: 'OR, NOT and brackets follow SQL precedence',
+    queries: [
+      `SELECT student_id FROM students
+       WHERE (tutor_group_id = 1 OR tutor_group_id = 3) AND NOT surname LIKE 'M%'
+       ORDER BY student_id`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      // Grace Miller (7) and Iris Moore (9) are excluded by NOT LIKE
+      const expected = [[1], [2], [5], [6], [10]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'AND binds tighter than OR',
+    queries: [
+      "SELECT student_id FROM students WHERE surname = 'Smith' OR tutor_group_id = 3 AND forename = 'Eve' ORDER BY student_id",
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [[1], [3], [5]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'DELETE honours OR conditions',
+    queries: [
+      'CREATE TABLE items (id INT PRIMARY KEY, qty INT)',
+      'INSERT INTO items (id, qty) VALUES (1, 5)',
+      'INSERT INTO items (id, qty) VALUES (2, 0)',
+      'INSERT INTO items (id, qty) VALUES (3, 9)',
+      'DELETE FROM items WHERE qty = 0 OR id = 3',
+      'SELECT id FROM items',
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [[1]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'IN and NOT IN filter against a list of values',
+    queries: ["SELECT student_id FROM students WHERE surname IN ('Smith', 'Brown') AND student_id NOT IN (3) ORDER BY student_id"],
+    shouldPass: true,
+    assert: result => {
+      const expected = [[1], [4]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'BETWEEN is inclusive and combines with AND',
+    queries: ['SELECT student_id FROM students WHERE student_id BETWEEN 4 AND 6 AND tutor_group_id = 3 ORDER BY student_id'],
+    shouldPass: true,
+    assert: result => {
+      const expected = [[5], [6]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'IN list with mixed types is rejected',
+    queries: ["SELECT * FROM students WHERE student_id IN (1, 'two')"],
+    shouldPass: false,
+    expectedErrorSubstring: 'mixes number and string',
+  },
+  {
+    name: 'IS NULL and IS NOT NULL find missing values',
+    queries: [
+      'CREATE TABLE results (id INT PRIMARY KEY, score INT NULL)',
+      'INSERT INTO results (id, score) VALUES (1, 0)',
+      'INSERT INTO results (id, score) VALUES (2, NULL)',
+      'INSERT INTO results (id, score) VALUES (3, 50)',
+      'SELECT id FROM results WHERE score IS NULL',
+    ],
+    shouldPass: true,
+    assert: (result, tables, schemaCopy) => {
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify([[2]])) {
+        throw new Error(`Expected [[2]], got ${JSON.stringify(rows)}`);
+      }
 
-  let passed = 0;
-  let failed = 0;
+      const notNull = executeQuery({
+        queryText: 'SELECT id FROM results WHERE score IS NOT NULL ORDER BY id',
+        tables,
+        schema: schemaCopy,
+      });
+      if (JSON.stringify(notNull.rows) !== JSON.stringify([[1], [3]])) {
+        throw new Error(`Expected [[1],[3]], got ${JSON.stringify(notNull.rows)}`);
+      }
+    },
+  },
+  {
+    name: 'Comparisons with NULL are UNKNOWN, not FALSE',
+    queries: [
+      'CREATE TABLE results (id INT PRIMARY KEY, score INT NULL)',
+      'INSERT INTO results (id, score) VALUES (1, 0)',
+      'INSERT INTO results (id, score) VALUES (2, NULL)',
+      'INSERT INTO results (id, score) VALUES (3, 50)',
+      // score = 0 must not match the NULL row, and NOT (UNKNOWN) is still UNKNOWN
+      'SELECT id FROM results WHERE score = 0 OR NOT score > 10',
+    ],
+    shouldPass: true,
+    assert: (result, tables, schemaCopy) => {
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify([[1]])) {
+        throw new Error(`Expected [[1]], got ${JSON.stringify(rows)}`);
+      }
 
-  for (const test of testCases) {
-    const tables = clone(sampleData);
-    const schemaCopy = clone(schema);
-    let lastResult = null;
+      // NOT IN with a NULL in the list can never be TRUE
+      const notIn = executeQuery({
+        queryText: 'SELECT id FROM results WHERE id NOT IN (1, NULL)',
+        tables,
+        schema: schemaCopy,
+      });
+      if (notIn.rows.length !== 0) {
+        throw new Error(`Expected no rows from NOT IN with NULL, got ${JSON.stringify(notIn.rows)}`);
+      }
 
-    try {
-      for (const query of test.queries) {
+      // Aggregates skip NULLs; COUNT(*) does not
+      const aggregates = executeQuery({
+        queryText: 'SELECT COUNT(*), COUNT(score), AVG(score) FROM results',
+        tables,
+        schema: schemaCopy,
+      });
+      if (JSON.stringify(aggregates.rows) !== JSON.stringify([[3, 2, 25]])) {
+        throw new Error(`Expected [[3,2,25]], got ${JSON.stringify(aggregates.rows)}`);
+      }
+    },
+  },
+  {
+    name: 'HAVING filters groups on an aggregate',
+    queries: ['SELECT module, AVG(score) AS average FROM grades GROUP BY module HAVING AVG(score) > 80 ORDER BY module'],
+    shouldPass: true,
+    assert: result => {
+      const expected = [['Databases', 81.2], ['Project Management', 80.13]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'HAVING rejects columns that are not grouped',
+    queries: ['SELECT module, COUNT(*) FROM grades GROUP BY module HAVING score > 50'],
+    shouldPass: false,
+    expectedErrorSubstring: 'must appear in GROUP BY',
+  },
+  {
+    name: 'Ungrouped columns are rejected when HAVING makes the table one group',
+    queries: ['SELECT forename FROM students HAVING COUNT(*) > 1'],
+    shouldPass: false,
+    expectedErrorSubstring: "Column 'forename' must appear in GROUP BY",
+  },
+  {
+    name: 'HAVING without GROUP BY treats the table as one group',
+    queries: ['SELECT COUNT(*) FROM students HAVING COUNT(*) > 1'],
+    shouldPass: true,
+    assert: (result, tables, schemaCopy) => {
+      if (JSON.stringify(selectResultRows(result)) !== JSON.stringify([[10]])) {
+        throw new Error(`Expected one row counting all 10 students, got ${JSON.stringify(selectResultRows(result))}`);
+      }
+
+      const none = executeQuery({ queryText: 'SELECT COUNT(*) FROM students HAVING COUNT(*) > 10', tables, schema: schemaCopy });
+      if (none.rows.length !== 0) {
+        throw new Error(`Expected the single group to be filtered out, got ${JSON.stringify(none.rows)}`);
+      }
+    },
+  },
+  {
+    name: 'Aggregates are not allowed in WHERE',
+    queries: ['SELECT module FROM grades WHERE AVG(score) > 50'],
+    shouldPass: false,
+    expectedErrorSubstring: 'Use HAVING',
+  },
+  {
+    name: 'Aggregates in ORDER BY of an ungrouped query name ORDER BY',
+    queries: ['SELECT forename FROM students ORDER BY COUNT(*)'],
+    shouldPass: false,
+    expectedErrorSubstring: 'Aggregate function COUNT() cannot be used in ORDER BY',
+  },
+  {
+    name: 'SELECT * is rejected in a grouped query',
+    queries: ['SELECT * FROM students HAVING COUNT(*) > 1'],
+    shouldPass: false,
+    expectedErrorSubstring: "SELECT * can't be used with GROUP BY or HAVING",
+  },
+  {
+    name: 'ORDER BY in an aggregate query without GROUP BY rejects ungrouped columns',
+    queries: ['SELECT COUNT(*) FROM students ORDER BY forename'],
+    shouldPass: false,
+    expectedErrorSubstring: "Column 'forename' in ORDER BY must appear in GROUP BY",
+  },
+  {
+    name: 'Scalar subquery in WHERE compares against a computed value',
+    queries: ['SELECT student_id, score FROM grades WHERE score = (SELECT MAX(score) FROM grades) ORDER BY student_id'],
+    shouldPass: true,
+    assert: result => {
+      const expected = [[3, 98], [5, 98]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'Correlated subqueries see the outer row in SELECT and EXISTS',
+    queries: [
+      `SELECT s.forename, (SELECT MAX(g.score) FROM grades g WHERE g.student_id = s.student_id) AS best
+       FROM students s
+       WHERE EXISTS (SELECT * FROM tutor_groups t WHERE t.tutor_group_id = s.tutor_group_id AND t.room = 'A5')
+         AND s.student_id IN (SELECT student_id FROM grades WHERE score >= 95)
+       ORDER BY s.forename`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [['Charlie', 98]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'Outer references in grouped subqueries do not need to be grouped',
+    queries: [
+      `SELECT s.forename, (SELECT COUNT(*) * s.tutor_group_id FROM grades g WHERE g.student_id = s.student_id) AS x
+       FROM students s
+       WHERE s.student_id <= 2
+       ORDER BY s.student_id`,
+    ],
+    shouldPass: true,
+    assert: (result, tables, schemaCopy) => {
+      const expected = [['Alice', 21], ['Bob', 21]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+
+      const bigGroups = executeQuery({
+        queryText: `SELECT t.tutor_group_id FROM tutor_groups t
+          WHERE EXISTS (SELECT s.tutor_group_id FROM students s GROUP BY s.tutor_group_id
+                        HAVING s.tutor_group_id = t.tutor_group_id AND COUNT(*) > 3)`,
+        tables,
+        schema: schemaCopy,
+      });
+      if (JSON.stringify(bigGroups.rows) !== JSON.stringify([[1]])) {
+        throw new Error(`Expected only tutor group 1, got ${JSON.stringify(bigGroups.rows)}`);
+      }
+    },
+  },
+  {
+    name: 'Scalar subquery returning several rows is an error',
+    queries: ['SELECT forename FROM students WHERE student_id = (SELECT student_id FROM grades)'],
+    shouldPass: false,
+    expectedErrorSubstring: 'returned 210 rows',
+  },
+  {
+    name: 'Derived table in FROM exposes the inner query columns',
+    queries: [
+      `SELECT t.module, t.average
+       FROM (SELECT module, AVG(score) AS average FROM grades GROUP BY module) AS t
+       WHERE t.average > 80
+       ORDER BY t.module`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [['Databases', 81.2], ['Project Management', 80.13]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'Aggregated derived table can be joined',
+    queries: [
+      `SELECT s.forename, best.top
+       FROM students s
+       JOIN (SELECT student_id, MAX(score) AS top FROM grades GROUP BY student_id) best
+         ON s.student_id = best.student_id
+       WHERE best.top >= 96
+       ORDER BY s.forename`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [['Charlie', 98], ['Eve', 98], ['Grace', 96]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'Derived table columns are checked by the validator',
+    queries: ['SELECT t.score FROM (SELECT module FROM grades) t'],
+    shouldPass: false,
+    expectedErrorSubstring: 'Unknown column: score in table t',
+  },
+  {
+    name: 'Searched CASE picks the first matching WHEN, then ELSE or NULL',
+    queries: [
+      'CREATE TABLE marks (id INT PRIMARY KEY, score INT NULL)',
+      'INSERT INTO marks (id, score) VALUES (1, 75)',
+      'INSERT INTO marks (id, score) VALUES (2, 62)',
+      'INSERT INTO marks (id, score) VALUES (3, 30)',
+      'INSERT INTO marks (id, score) VALUES (4, NULL)',
+      `SELECT id,
+         CASE WHEN score >= 70 THEN 'Distinction' WHEN score >= 60 THEN 'Merit' WHEN score >= 40 THEN 'Pass' END AS band,
+         CASE WHEN score >= 40 THEN 'Pass' ELSE 'Fail' END AS outcome
+       FROM marks
+       ORDER BY CASE WHEN score IS NULL THEN 0 ELSE score END DESC`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [
+        [1, 'Distinction', 'Pass'],
+        [2, 'Merit', 'Pass'],
+        [3, null, 'Fail'],
+        [4, null, 'Fail'],
+      ];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'Simple CASE works in SELECT, WHERE and ORDER BY',
+    queries: [
+      `SELECT forename, CASE tutor_group_id WHEN 1 THEN 'Red' WHEN 2 THEN 'Blue' ELSE 'Green' END AS house
+       FROM students
+       WHERE CASE WHEN surname = 'Smith' THEN 1 ELSE 0 END = 1
+       ORDER BY CASE tutor_group_id WHEN 2 THEN 0 ELSE 1 END`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [['Charlie', 'Blue'], ['Alice', 'Red']];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'CASE branches must return the same type',
+    queries: ["SELECT CASE WHEN score >= 40 THEN 'Pass' ELSE 0 END FROM grades"],
+    shouldPass: false,
+    expectedErrorSubstring: 'the branches of this CASE return string and number values. Tip: make every THEN and the ELSE',
+  },
+  {
+    name: 'COALESCE cannot mix a DATETIME column with text that is not a date',
+    queries: ["SELECT COALESCE(submitted_at, 'never') FROM submissions"],
+    shouldPass: false,
+    expectedErrorSubstring: "the arguments of COALESCE() mix datetime and string values: 'never' is not a date",
+  },
+  {
+    name: 'Arithmetic follows operator precedence in SELECT, WHERE and ORDER BY',
+    queries: [
+      `SELECT student_id, score * 1.1 AS adjusted, paper + 1, 2 + 3 * (score - 70) % 4, -score
+       FROM grades
+       WHERE student_id = 1 AND (score + 5) * 2 > 190
+       ORDER BY score * -1`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expectedColumns = ['student_id', 'adjusted', 'paper + 1', '2 + 3 * (score - 70) % 4', '-score'];
+      if (JSON.stringify(result.columns) !== JSON.stringify(expectedColumns)) {
+        throw new Error(`Expected columns ${JSON.stringify(expectedColumns)}, got ${JSON.stringify(result.columns)}`);
+      }
+      const expected = [
+        [1, 103.4, 4, 2, -94],
+        [1, 101.2, 4, 4, -92],
+        [1, 100.1, 2, 5, -91],
+        [1, 100.1, 4, 5, -91],
+      ];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'UPDATE SET evaluates expressions against the original row',
+    queries: [
+      'CREATE TABLE stock (id INT PRIMARY KEY, qty INT NOT NULL, price DECIMAL NULL)',
+      'INSERT INTO stock (id, qty, price) VALUES (1, 4, 2.5)',
+      'INSERT INTO stock (id, qty, price) VALUES (2, -3, NULL)',
+      'UPDATE stock SET qty = qty * 2 + id, price = price - 0.5 WHERE qty > 0',
+      'UPDATE stock SET qty = -qty WHERE price IS NULL',
+      'SELECT id, qty, price, qty * price AS total FROM stock',
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [[1, 9, 2, 18], [2, 3, null, null]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'Arithmetic on a text column is a type mismatch',
+    queries: ['SELECT surname * 2 FROM students'],
+    shouldPass: false,
+    expectedErrorSubstring: "'*' needs numbers, but surname is a string",
+  },
+  {
+    name: 'String functions and || work in SELECT and WHERE',
+    queries: [
+      `SELECT UPPER(surname), LOWER(forename), LENGTH(surname), SUBSTR(surname, 2, 3),
+         REPLACE(surname, 'o', '0'), TRIM('  ' || forename || '  '), forename || ' ' || surname AS full_name
+       FROM students
+       WHERE SUBSTR(UPPER(surname), 1, 1) = 'J'`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [['JOHNSON', 'bob', 7, 'ohn', 'J0hns0n', 'Bob', 'Bob Johnson']];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'Numeric and NULL-handling functions',
+    queries: [
+      'CREATE TABLE readings (id INT PRIMARY KEY, value DECIMAL NULL, label TEXT NULL)',
+      "INSERT INTO readings (id, value, label) VALUES (1, -2.5, 'low')",
+      'INSERT INTO readings (id, value, label) VALUES (2, 1.005, NULL)',
+      "UPDATE readings SET label = UPPER(COALESCE(label, 'none'))",
+      `SELECT ROUND(value), ROUND(value, 2), ABS(value), FLOOR(value), CEIL(value),
+         IFNULL(NULLIF(label, 'LOW'), '-'), CONCAT(label, NULL, id), label || NULL
+       FROM readings`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [
+        [-3, -2.5, 2.5, -3, -2, '-', 'LOW1', null],
+        [1, 1.01, 1.005, 1, 2, 'NONE', 'NONE2', null],
+      ];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'Scalar functions check their name, argument count and types',
+    queries: ['SELECT forename FROM students'],
+    shouldPass: true,
+    assert: (result, tables, schemaCopy) => {
+      const cases = [
+        ['SELECT UPPPER(surname) FROM students', 'Unknown function: UPPPER()'],
+        ['SELECT SUBSTR(surname) FROM students', 'SUBSTR() takes 2 to 3 arguments, but was given 1'],
+        ['SELECT ROUND(surname) FROM students', 'ROUND() needs a number as argument 1, but surname is a string'],
+        ["SELECT COALESCE(tutor_group_id, 'none') FROM students", 'the arguments of COALESCE() mix number and string values'],
+      ];
+      for (const [queryText, expectedError] of cases) {
+        let message = null;
+        try {
+          executeQuery({ queryText, tables, schema: schemaCopy });
+        } catch (error) {
+          message = error.message;
+        }
+        if (!message?.includes(expectedError)) {
+          throw new Error(`Expected "${expectedError}" for ${queryText}, got ${JSON.stringify(message)}`);
+        }
+      }
+    },
+  },
+  {
+    name: 'Date functions filter the dated sample tables',
+    queries: [
+      `SELECT student_id, module, DATEDIFF(submitted_at, due_date) AS days_late
+       FROM submissions
+       WHERE DATE(submitted_at) > due_date AND YEAR(due_date) = 2024
+       ORDER BY submitted_at`,
+    ],
+    shouldPass: true,
+    assert: (result, tables, schemaCopy) => {
+      const expected = [[2, 'Databases', 1], [6, 'Programming', 5]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+
+      const absences = executeQuery({
+        queryText: `SELECT MONTH(session_date), COUNT(*) FROM attendance
+          WHERE present = FALSE AND session_date BETWEEN DATE '2024-09-01' AND '2024-10-31'
+          GROUP BY session_date`,
+        tables,
+        schema: schemaCopy,
+      });
+      const expectedAbsences = [[9, 1], [10, 2]];
+      if (JSON.stringify(absences.rows) !== JSON.stringify(expectedAbsences)) {
+        throw new Error(`Expected ${JSON.stringify(expectedAbsences)}, got ${JSON.stringify(absences.rows)}`);
+      }
+    },
+  },
+  {
+    name: 'DATE and DATETIME columns store ISO values and sort by date',
+    queries: [
+      'CREATE TABLE events (id INT PRIMARY KEY, day DATE NOT NULL, starts DATETIME NULL)',
+      "INSERT INTO events (id, day, starts) VALUES (1, '2024-12-01', '2024-12-01T18:30')",
+      "INSERT INTO events (id, day, starts) VALUES (2, DATE '2024-02-29', NULL)",
+      "INSERT INTO events (id, day) VALUES (3, '2024-10-15')",
+      "UPDATE events SET starts = '2024-10-15 09:00' WHERE id = 3",
+      'SELECT id, day, starts FROM events ORDER BY day',
+    ],
+    shouldPass: true,
+    assert: (result, tables, schemaCopy) => {
+      const expected = [
+        [2, '2024-02-29', null],
+        [3, '2024-10-15', '2024-10-15 09:00:00'],
+        [1, '2024-12-01', '2024-12-01 18:30:00'],
+      ];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+
+      let message = null;
+      try {
+        executeQuery({ queryText: "INSERT INTO events (id, day) VALUES (4, '2023-02-29')", tables, schema: schemaCopy });
+      } catch (error) {
+        message = error.message;
+      }
+      if (!message?.includes("must be of type date")) {
+        throw new Error(`Expected an invalid date to be rejected, got ${JSON.stringify(message)}`);
+      }
+    },
+  },
+  {
+    name: 'Invalid DATE literal is reported',
+    queries: ["SELECT * FROM attendance WHERE session_date = DATE '2024-02-30'"],
+    shouldPass: false,
+    expectedErrorSubstring: "Invalid DATE value: '2024-02-30'",
+  },
+  {
+    name: 'Text compared with DATE and DATETIME columns is read as a date',
+    queries: [
+      `SELECT student_id FROM submissions
+       WHERE submitted_at = '2024-10-05 09:10' OR submitted_at = '2024-10-05T09:10'
+         OR submitted_at IN ('2024-10-05T09:10:00')`,
+    ],
+    shouldPass: true,
+    assert: (result, tables, schemaCopy) => {
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify([[2]])) {
+        throw new Error(`Expected student 2's submission, got ${JSON.stringify(rows)}`);
+      }
+
+      const sameDay = executeQuery({
+        queryText: "SELECT COUNT(*) FROM attendance WHERE session_date BETWEEN '2024-09-09T00:00' AND '2024-09-09'",
+        tables,
+        schema: schemaCopy,
+      });
+      if (sameDay.rows[0][0] !== 10) {
+        throw new Error(`Expected 10 rows for 2024-09-09, got ${JSON.stringify(sameDay.rows)}`);
+      }
+    },
+  },
+  {
+    name: 'Text that is not a real date is rejected when compared with a DATE column',
+    queries: ["SELECT * FROM attendance WHERE session_date = '2024-02-30'"],
+    shouldPass: false,
+    expectedErrorSubstring: "session_date is a date, but '2024-02-30' is not a real date",
+  },
+  {
+    name: 'BOOLEAN values are shown as TRUE and FALSE in result cells',
+    queries: ["SELECT present, student_id, NULL FROM attendance WHERE student_id IN (3, 4) AND session_date = '2024-09-09' ORDER BY student_id"],
+    shouldPass: true,
+    assert: result => {
+      const shown = selectResultRows(result).map(row => row.map(cell => (cell === null ? null : formatCellValue(cell))));
+      const expected = [['TRUE', 3, null], ['FALSE', 4, null]];
+      if (JSON.stringify(shown) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(shown)}`);
+      }
+    },
+  },
+  {
+    name: 'COUNT(DISTINCT) counts different values, grouped and ungrouped',
+    queries: [
+      `SELECT s.tutor_group_id, COUNT(DISTINCT s.surname), COUNT(DISTINCT g.module), COUNT(g.module)
+       FROM students s
+       JOIN grades g ON s.student_id = g.student_id
+       GROUP BY s.tutor_group_id
+       ORDER BY s.tutor_group_id`,
+    ],
+    shouldPass: true,
+    assert: (result, tables, schemaCopy) => {
+      const expectedColumns = ['s.tutor_group_id', 'COUNT(DISTINCT surname)', 'COUNT(DISTINCT module)', 'COUNT(module)'];
+      if (JSON.stringify(result.columns) !== JSON.stringify(expectedColumns)) {
+        throw new Error(`Expected columns ${JSON.stringify(expectedColumns)}, got ${JSON.stringify(result.columns)}`);
+      }
+      const expected = [[1, 4, 7, 84], [2, 3, 7, 63], [3, 3, 7, 63]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+
+      const overall = executeQuery({
+        queryText: 'SELECT COUNT(DISTINCT surname), COUNT(surname) FROM students',
+        tables,
+        schema: schemaCopy,
+      });
+      if (JSON.stringify(overall.rows) !== JSON.stringify([[9, 10]])) {
+        throw new Error(`Expected [[9,10]], got ${JSON.stringify(overall.rows)}`);
+      }
+    },
+  },
+  {
+    name: 'SUM and AVG with DISTINCT use each value once and skip NULLs',
+    queries: [
+      'CREATE TABLE fees (id INT PRIMARY KEY, amount INT NULL)',
+      'INSERT INTO fees (id, amount) VALUES (1, 10)',
+      'INSERT INTO fees (id, amount) VALUES (2, 10)',
+      'INSERT INTO fees (id, amount) VALUES (3, 40)',
+      'INSERT INTO fees (id, amount) VALUES (4, NULL)',
+      'SELECT SUM(amount), SUM(DISTINCT amount), AVG(amount), AVG(DISTINCT amount), COUNT(DISTINCT amount) FROM fees',
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [[60, 50, 20, 25, 2]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'COUNT(DISTINCT *) is rejected',
+    queries: ['SELECT COUNT(DISTINCT *) FROM students'],
+    shouldPass: false,
+    expectedErrorSubstring: 'COUNT(DISTINCT *) is not allowed',
+  },
+  {
+    name: 'Aggregates over expressions and GROUP BY on an expression',
+    queries: [
+      'CREATE TABLE results (id INT PRIMARY KEY, module TEXT, score INT)',
+      "INSERT INTO results (id, module, score) VALUES (1, 'maths', 50)",
+      "INSERT INTO results (id, module, score) VALUES (2, 'Maths', 70)",
+      "INSERT INTO results (id, module, score) VALUES (3, 'art', 90)",
+      `SELECT UPPER(module) AS subject, COUNT(*), AVG(score / 100), SUM(score * 2)
+       FROM results
+       GROUP BY UPPER(module)
+       ORDER BY UPPER(module)`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expectedColumns = ['subject', 'COUNT(*)', 'AVG(score / 100)', 'SUM(score * 2)'];
+      if (JSON.stringify(result.columns) !== JSON.stringify(expectedColumns)) {
+        throw new Error(`Expected columns ${JSON.stringify(expectedColumns)}, got ${JSON.stringify(result.columns)}`);
+      }
+      const expected = [['ART', 1, 0.9, 180], ['MATHS', 2, 0.6, 240]];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'GROUP BY a SELECT alias or position',
+    queries: [
+      `SELECT YEAR(due_date) AS due_year, MONTH(due_date) AS due_month, COUNT(*)
+       FROM submissions
+       GROUP BY due_year, due_month
+       ORDER BY MONTH(due_date)`,
+    ],
+    shouldPass: true,
+    assert: (result, tables, schemaCopy) => {
+      const byPosition = executeQuery({
+        queryText: `SELECT YEAR(due_date) AS due_year, MONTH(due_date) AS due_month, COUNT(*)
+                    FROM submissions
+                    GROUP BY 1, 2
+                    ORDER BY MONTH(due_date)`,
+        tables,
+        schema: schemaCopy,
+      });
+      const rows = selectResultRows(result);
+      if (rows.length < 2 || JSON.stringify(rows) !== JSON.stringify(byPosition.rows)) {
+        throw new Error(`Expected alias and position to group alike, got ${JSON.stringify(rows)} and ${JSON.stringify(byPosition.rows)}`);
+      }
+      const total = rows.reduce((sum, row) => sum + row[2], 0);
+      if (total !== 12) {
+        throw new Error(`Expected groups to cover 12 submissions, got ${total}`);
+      }
+    },
+  },
+  {
+    name: 'Ungrouped column inside an expression is rejected',
+    queries: ['SELECT UPPER(module), score + 1 FROM grades GROUP BY UPPER(module)'],
+    shouldPass: false,
+    expectedErrorSubstring: "Column 'score' must appear in GROUP BY clause",
+  },
+  {
+    name: 'ORDER BY several keys with mixed directions, aliases and positions',
+    queries: ['SELECT surname AS family, forename FROM students ORDER BY family ASC, 2 DESC LIMIT 8'],
+    shouldPass: true,
+    assert: result => {
+      const expected = [
+        ['Brown', 'Diana'], ['Davis', 'Frank'], ['Johnson', 'Bob'], ['Miller', 'Grace'],
+        ['Moore', 'Iris'], ['Smith', 'Charlie'], ['Smith', 'Alice'], ['Taylor', 'Jack'],
+      ];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'NULLS FIRST/LAST place NULLs and ties keep their original order',
+    queries: [
+      'CREATE TABLE queue (id INT PRIMARY KEY, priority INT NULL)',
+      'INSERT INTO queue (id, priority) VALUES (1, 2)',
+      'INSERT INTO queue (id, priority) VALUES (2, NULL)',
+      'INSERT INTO queue (id, priority) VALUES (3, 1)',
+      'INSERT INTO queue (id, priority) VALUES (4, 2)',
+      'INSERT INTO queue (id, priority) VALUES (5, NULL)',
+      'SELECT id FROM queue ORDER BY priority',
+    ],
+    shouldPass: true,
+    assert: (result, tables, schemaCopy) => {
+      const ids = queryText => executeQuery({ queryText, tables, schema: schemaCopy }).rows.map(row => row[0]);
+      const checks = [
+        [result.rows.map(row => row[0]), [2, 5, 3, 1, 4]],
+        [ids('SELECT id FROM queue ORDER BY priority DESC'), [1, 4, 3, 2, 5]],
+        [ids('SELECT id FROM queue ORDER BY priority NULLS LAST'), [3, 1, 4, 2, 5]],
+        [ids('SELECT id FROM queue ORDER BY priority DESC NULLS FIRST, id DESC'), [5, 2, 4, 1, 3]],
+      ];
+      for (const [actual, expected] of checks) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+      }
+    },
+  },
+  {
+    name: 'ORDER BY position outside the SELECT list is rejected',
+    queries: ['SELECT forename, surname FROM students ORDER BY 3'],
+    shouldPass: false,
+    expectedErrorSubstring: "ORDER BY 3 doesn't match an item in the SELECT list",
+  },
+  {
+    name: 'LIMIT with OFFSET, LIMIT m, n and OFFSET ... FETCH return the same page',
+    queries: ['SELECT student_id FROM students ORDER BY student_id LIMIT 3 OFFSET 4'],
+    shouldPass: true,
+    assert: (result, tables, schemaCopy) => {
+      const pages = [
+        result,
+        executeQuery({ queryText: 'SELECT student_id FROM students ORDER BY student_id LIMIT 4, 3', tables, schema: schemaCopy }),
+        executeQuery({
+          queryText: 'SELECT student_id FROM students ORDER BY student_id OFFSET 4 ROWS FETCH NEXT 3 ROWS ONLY',
+          tables,
+          schema: schemaCopy,
+        }),
+      ];
+      for (const page of pages) {
+        if (JSON.stringify(page.rows) !== JSON.stringify([[5], [6], [7]])) {
+          throw new Error(`Expected [[5],[6],[7]], got ${JSON.stringify(page.rows)}`);
+        }
+        if (JSON.stringify(page.meta.window) !== JSON.stringify({ first: 5, last: 7, totalRows: 10 })) {
+          throw new Error(`Expected rows 5-7 of 10, got ${JSON.stringify(page.meta.window)}`);
+        }
+      }
+    },
+  },
+  {
+    name: 'OFFSET without a limit and offsets past the end',
+    queries: ['SELECT student_id FROM students ORDER BY student_id OFFSET 8 ROWS'],
+    shouldPass: true,
+    assert: (result, tables, schemaCopy) => {
+      if (JSON.stringify(result.rows) !== JSON.stringify([[9], [10]])) {
+        throw new Error(`Expected [[9],[10]], got ${JSON.stringify(result.rows)}`);
+      }
+      const pastEnd = executeQuery({ queryText: 'SELECT * FROM students LIMIT 5 OFFSET 20', tables, schema: schemaCopy });
+      if (pastEnd.meta.rowCount !== 0) {
+        throw new Error(`Expected no rows past the end, got ${pastEnd.meta.rowCount}`);
+      }
+    },
+  },
+  {
+    name: 'FETCH FIRST without ONLY is rejected',
+    queries: ['SELECT * FROM students FETCH FIRST 2 ROWS'],
+    shouldPass: false,
+    expectedErrorSubstring: 'Expected ONLY',
+  },
+  {
+    name: 'UNION, UNION ALL, INTERSECT and EXCEPT combine result sets',
+    queries: [
+      `SELECT forename AS name FROM students WHERE tutor_group_id = 1
+       UNION
+       SELECT tutor_name FROM tutor_groups WHERE tutor_group_id = 1
+       ORDER BY name`,
+    ],
+    shouldPass: true,
+    assert: (result, tables, schemaCopy) => {
+      const expected = [['Alice'], ['Bob'], ['Clive Anderson'], ['Grace'], ['Jack']];
+      if (JSON.stringify(result.columns) !== JSON.stringify(['name']) ||
+          JSON.stringify(result.rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(result.rows)}`);
+      }
+
+      const run = queryText => executeQuery({ queryText, tables, schema: schemaCopy }).rows.map(row => row[0]);
+      const checks = [
+        [run('SELECT tutor_group_id FROM students UNION ALL SELECT tutor_group_id FROM tutor_groups').length, 13],
+        [run('SELECT tutor_group_id FROM students UNION SELECT tutor_group_id FROM tutor_groups ORDER BY 1'), [1, 2, 3]],
+        [run(`SELECT student_id FROM grades
+              INTERSECT SELECT student_id FROM attendance WHERE present = FALSE
+              ORDER BY student_id`), [2, 4, 6, 9]],
+        [run(`SELECT student_id FROM students
+              EXCEPT SELECT student_id FROM attendance WHERE present = FALSE
+              ORDER BY 1 DESC LIMIT 3`), [10, 8, 7]],
+        [run(`SELECT COUNT(*) FROM (SELECT student_id FROM grades UNION SELECT student_id FROM students) ids`), [10]],
+      ];
+      for (const [actual, wanted] of checks) {
+        if (JSON.stringify(actual) !== JSON.stringify(wanted)) {
+          throw new Error(`Expected ${JSON.stringify(wanted)}, got ${JSON.stringify(actual)}`);
+        }
+      }
+    },
+  },
+  {
+    name: 'Set operations need matching column counts',
+    queries: ['SELECT student_id, forename FROM students UNION SELECT student_id FROM grades'],
+    shouldPass: false,
+    expectedErrorSubstring: 'Both sides of UNION must return the same number of columns',
+  },
+  {
+    name: 'Set operations need matching column types',
+    queries: ['SELECT student_id FROM students EXCEPT SELECT forename FROM students'],
+    shouldPass: false,
+    expectedErrorSubstring: 'column 1 of EXCEPT is a number in the first SELECT but a string in the second',
+  },
+  {
+    name: 'WITH defines CTEs that later CTEs and the main query read like tables',
+    queries: [
+      `WITH best AS (SELECT student_id, MAX(score) AS top FROM grades GROUP BY student_id),
+            named AS (SELECT s.forename, b.top FROM students s JOIN best b ON s.student_id = b.student_id)
+       SELECT forename FROM named WHERE top >= 96 ORDER BY forename`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [['Charlie'], ['Eve'], ['Grace']];
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'A CTE can shadow the table it reads',
+    queries: [
+      `WITH students AS (SELECT * FROM students WHERE tutor_group_id = 1)
+       SELECT COUNT(*), MIN(forename) FROM students`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      const rows = selectResultRows(result);
+      if (JSON.stringify(rows) !== JSON.stringify([[4, 'Alice']])) {
+        throw new Error(`Expected the 4 students in tutor group 1, got ${JSON.stringify(rows)}`);
+      }
+    },
+  },
+  {
+    name: 'WITH RECURSIVE walks the module prerequisite chain',
+    queries: [
+      `WITH RECURSIVE chain (module, steps_back) AS (
+         SELECT module, 0 FROM modules WHERE module = 'Data Analysis'
+         UNION ALL
+         SELECT m.prerequisite, c.steps_back + 1
+         FROM modules m
+         JOIN chain c ON m.module = c.module
+         WHERE m.prerequisite IS NOT NULL
+       )
+       SELECT * FROM chain ORDER BY steps_back DESC`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [['Problem Solving', 3], ['Programming', 2], ['Databases', 1], ['Data Analysis', 0]];
+      if (JSON.stringify(result.columns) !== JSON.stringify(['module', 'steps_back']) ||
+          JSON.stringify(result.rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(result.rows)}`);
+      }
+    },
+  },
+  {
+    name: 'WITH RECURSIVE that never stops hits the iteration cap',
+    queries: [
+      `WITH RECURSIVE counter (n) AS (
+         SELECT 1 FROM students WHERE student_id = 1
+         UNION ALL
+         SELECT n + 1 FROM counter
+       )
+       SELECT COUNT(*) FROM counter`,
+    ],
+    shouldPass: false,
+    expectedErrorSubstring: "WITH RECURSIVE 'counter' was stopped after 100 rounds",
+  },
+  {
+    name: 'RANK and DENSE_RANK number rows within each module partition',
+    queries: [
+      `WITH ranked AS (
+         SELECT module, score,
+                RANK() OVER (PARTITION BY module ORDER BY score DESC) AS pos,
+                DENSE_RANK() OVER (PARTITION BY module ORDER BY score DESC) AS dense
+         FROM grades
+         WHERE module IN ('Databases', 'Programming') AND student_id <= 5
+       )
+       SELECT module, score, pos, dense FROM ranked WHERE pos <= 5 ORDER BY module, pos`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [
+        ['Databases', 98, 1, 1], ['Databases', 96, 2, 2], ['Databases', 94, 3, 3], ['Databases', 94, 3, 3], ['Databases', 92, 5, 4],
+        ['Programming', 98, 1, 1], ['Programming', 97, 2, 2], ['Programming', 95, 3, 3], ['Programming', 91, 4, 4], ['Programming', 88, 5, 5],
+      ];
+      if (JSON.stringify(result.rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(result.rows)}`);
+      }
+    },
+  },
+  {
+    name: 'LAG and a running SUM work over grouped rows',
+    queries: [
+      `SELECT student_id, SUM(score) AS total,
+              SUM(SUM(score)) OVER (ORDER BY student_id) AS running,
+              LAG(SUM(score)) OVER (ORDER BY student_id) AS previous
+       FROM grades
+       WHERE module = 'Programming' AND student_id <= 4
+       GROUP BY student_id
+       ORDER BY student_id`,
+    ],
+    shouldPass: true,
+    assert: result => {
+      const expected = [[1, 238, 238, null], [2, 198, 436, 238], [3, 290, 726, 198], [4, 221, 947, 290]];
+      if (JSON.stringify(result.rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(result.rows)}`);
+      }
+    },
+  },
+  {
+    name: 'Window functions cannot be used in WHERE',
+    queries: ['SELECT student_id FROM grades WHERE RANK() OVER (ORDER BY score DESC) = 1'],
+    shouldPass: false,
+    expectedErrorSubstring: "Window functions such as RANK() OVER (...) can't be used in WHERE",
+  },
+  {
+    name: 'A script runs each statement in order and returns every result',
+    script: `CREATE TABLE pets (pet_id INT PRIMARY KEY, name VARCHAR(20));
+      INSERT INTO pets (pet_id, name) VALUES (1, 'Rex; the dog');
+      INSERT INTO pets (pet_id, name) VALUES (2, 'Tiddles');
+      SELECT name FROM pets ORDER BY pet_id;`,
+    shouldPass: true,
+    assert: statements => {
+      if (statements.length !== 4 || statements.some(entry => !entry.result)) {
+        throw new Error(`Expected 4 successful statements, got ${JSON.stringify(statements)}`);
+      }
+      const expected = [['Rex; the dog'], ['Tiddles']];
+      if (JSON.stringify(statements[3].result.rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(statements[3].result.rows)}`);
+      }
+      if (statements[3].text !== 'SELECT name FROM pets ORDER BY pet_id') {
+        throw new Error(`Unexpected statement text: ${statements[3].text}`);
+      }
+    },
+  },
+  {
+    name: 'A script stops at the first failing statement',
+    script: `CREATE TABLE pets (pet_id INT PRIMARY KEY, name VARCHAR(20));
+      SELECT nickname FROM pets;
+      INSERT INTO pets (pet_id, name) VALUES (1, 'Rex')`,
+    shouldPass: true,
+    assert: (statements, tables) => {
+      const [created, failed, skipped] = statements;
+      if (!created.result || failed.error?.code !== 'UNKNOWN_COLUMN' || !skipped.skipped || skipped.result) {
+        throw new Error(`Expected ok, failed, skipped; got ${JSON.stringify(statements)}`);
+      }
+      // The error position points into the whole script
+      if (failed.position !== created.text.length + 8 || failed.error.position !== failed.position + 7) {
+        throw new Error(`Unexpected positions ${failed.position} and ${failed.error.position}`);
+      }
+      if (tables.pets.length !== 0) {
+        throw new Error('The statement after the failure should not have run');
+      }
+    },
+  },
+  {
+    name: 'ROLLBACK undoes data and schema changes made since BEGIN',
+    script: `CREATE TABLE pets (pet_id INT PRIMARY KEY, name VARCHAR(20));
+      INSERT INTO pets (pet_id, name) VALUES (1, 'Rex');
+      BEGIN;
+      UPDATE pets SET name = 'Oops';
+      ALTER TABLE pets ADD COLUMN age INT;
+      CREATE TABLE scratch (id INT);
+      ROLLBACK;
+      SELECT * FROM pets`,
+    shouldPass: true,
+    assert: (statements, tables, schema) => {
+      const last = statements[statements.length - 1];
+      if (JSON.stringify(last.result?.rows) !== JSON.stringify([[1, 'Rex']])) {
+        throw new Error(`Expected the original row back, got ${JSON.stringify(last.result?.rows ?? last.error?.message)}`);
+      }
+      if (schema.pets.columns.length !== 2 || schema.scratch || tables.scratch) {
+        throw new Error('Expected the ALTER TABLE and CREATE TABLE to be undone');
+      }
+    },
+  },
+  {
+    name: 'ROLLBACK TO a savepoint keeps the changes made before it',
+    script: `CREATE TABLE pets (pet_id INT PRIMARY KEY, name VARCHAR(20));
+      BEGIN;
+      INSERT INTO pets (pet_id, name) VALUES (1, 'Rex');
+      SAVEPOINT after_rex;
+      INSERT INTO pets (pet_id, name) VALUES (2, 'Tiddles');
+      ROLLBACK TO SAVEPOINT after_rex;
+      INSERT INTO pets (pet_id, name) VALUES (3, 'Bubbles');
+      COMMIT;
+      SELECT pet_id FROM pets ORDER BY pet_id`,
+    shouldPass: true,
+    assert: statements => {
+      const last = statements[statements.length - 1];
+      if (JSON.stringify(last.result?.rows) !== JSON.stringify([[1], [3]])) {
+        throw new Error(`Expected [[1],[3]], got ${JSON.stringify(last.result?.rows ?? last.error?.message)}`);
+      }
+    },
+  },
+  {
+    name: 'COMMIT without BEGIN is an error',
+    queries: ['COMMIT'],
+    shouldPass: false,
+    expectedErrorSubstring: 'COMMIT needs an open transaction',
+  },
+  {
+    name: 'An UPDATE that fails on a later row leaves every row unchanged',
+    script: `CREATE TABLE pets (pet_id INT PRIMARY KEY, name VARCHAR(20) NOT NULL, age INT);
+      INSERT INTO pets (pet_id, name, age) VALUES (1, 'Rex', 3);
+      INSERT INTO pets (pet_id, name, age) VALUES (2, 'Tiddles', 5);
+      UPDATE pets SET age = age + 1, name = NULLIF(name, 'Tiddles')`,
+    shouldPass: true,
+    assert: (statements, tables) => {
+      const failed = statements[statements.length - 1];
+      if (!failed.error?.message.includes("Column 'name' cannot be NULL")) {
+        throw new Error(`Expected the UPDATE to fail on its NOT NULL check, got ${JSON.stringify(failed)}`);
+      }
+      const expected = [{ pet_id: 1, name: 'Rex', age: 3 }, { pet_id: 2, name: 'Tiddles', age: 5 }];
+      if (JSON.stringify(tables.pets) !== JSON.stringify(expected)) {
+        throw new Error(`Expected the table unchanged, got ${JSON.stringify(tables.pets)}`);
+      }
+    },
+  },
+  {
+    name: 'UPDATE checks primary keys once every row has changed',
+    script: `CREATE TABLE pets (pet_id INT PRIMARY KEY, name VARCHAR(20));
+      INSERT INTO pets (pet_id, name) VALUES (1, 'Rex');
+      INSERT INTO pets (pet_id, name) VALUES (2, 'Tiddles');
+      UPDATE pets SET pet_id = 3 - pet_id;
+      SELECT pet_id, name FROM pets ORDER BY pet_id`,
+    shouldPass: true,
+    assert: statements => {
+      const last = statements[statements.length - 1];
+      if (JSON.stringify(last.result?.rows) !== JSON.stringify([[1, 'Tiddles'], [2, 'Rex']])) {
+        throw new Error(`Expected the keys to swap, got ${JSON.stringify(last.result?.rows ?? last.error?.message)}`);
+      }
+    },
+  },
+  {
+    name: 'A failed INSERT does not use up an AUTO_INCREMENT value',
+    script: `CREATE TABLE clubs (name VARCHAR(20) PRIMARY KEY, ticket INT AUTO_INCREMENT);
+      INSERT INTO clubs (name) VALUES ('Chess');
+      INSERT INTO clubs (name) VALUES ('Chess')`,
+    shouldPass: true,
+    assert: (statements, tables, schema) => {
+      if (!statements[2].error?.message.includes('Duplicate primary key') || tables.clubs.length !== 1) {
+        throw new Error(`Expected the second INSERT to fail, got ${JSON.stringify(statements[2])}`);
+      }
+      if (schema.clubs.autoIncrementCounters.ticket !== 1) {
+        throw new Error(`Expected the counter to stay at 1, got ${schema.clubs.autoIncrementCounters.ticket}`);
+      }
+    },
+  },
+  {
+    name: 'UPDATE SET uses expressions over the row and correlated subqueries',
+    script: `CREATE TABLE results (student_id INT PRIMARY KEY, module VARCHAR(30), score INT, best INT);
+      INSERT INTO results (student_id, module, score, best) VALUES (1, 'Programming', 70, 0);
+      INSERT INTO results (student_id, module, score, best) VALUES (2, 'Databases', 60, 0);
+      UPDATE results SET score = score + 5 WHERE module = 'Programming';
+      UPDATE results SET best = (SELECT MAX(g.score) FROM grades g WHERE g.student_id = results.student_id);
+      SELECT student_id, score, best FROM results ORDER BY student_id`,
+    shouldPass: true,
+    assert: statements => {
+      const last = statements[statements.length - 1];
+      const expected = [[1, 75, 94], [2, 60, 85]];
+      if (JSON.stringify(last.result?.rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(last.result?.rows ?? last.error?.message)}`);
+      }
+    },
+  },
+  {
+    name: 'UPDATE SET values must suit the column type',
+    queries: [
+      'CREATE TABLE results (student_id INT PRIMARY KEY, module VARCHAR(30), score INT)',
+      'UPDATE results SET score = module',
+    ],
+    shouldPass: false,
+    expectedErrorSubstring: 'score is a number column, but module is a string',
+  },
+  {
+    name: 'UPDATE SET rejects unknown columns in expressions',
+    queries: [
+      'CREATE TABLE results (student_id INT PRIMARY KEY, score INT)',
+      'UPDATE results SET score = scor + 5',
+    ],
+    shouldPass: false,
+    expectedErrorSubstring: 'Unknown column: scor',
+  },
+  {
+    name: 'INSERT with several VALUES lists numbers every row with AUTO_INCREMENT',
+    script: `CREATE TABLE pets (pet_id INT PRIMARY KEY AUTO_INCREMENT, name VARCHAR(20) NOT NULL);
+      INSERT INTO pets (name) VALUES ('Rex'), ('Tiddles'), ('Bubbles');
+      SELECT pet_id, name FROM pets ORDER BY pet_id`,
+    shouldPass: true,
+    assert: (statements, tables, schema) => {
+      if (statements[1].result?.meta.rowCount !== 3) {
+        throw new Error(`Expected a rowCount of 3, got ${JSON.stringify(statements[1].result?.meta ?? statements[1].error?.message)}`);
+      }
+      const expected = [[1, 'Rex'], [2, 'Tiddles'], [3, 'Bubbles']];
+      if (JSON.stringify(statements[2].result?.rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(statements[2].result?.rows)}`);
+      }
+      if (schema.pets.autoIncrementCounters.pet_id !== 3) {
+        throw new Error(`Expected the counter to reach 3, got ${schema.pets.autoIncrementCounters.pet_id}`);
+      }
+    },
+  },
+  {
+    name: 'INSERT ... SELECT copies query results into a table',
+    script: `CREATE TABLE best (student_id INT PRIMARY KEY, score INT);
+      INSERT INTO best (student_id, score) SELECT student_id, MAX(score) FROM grades GROUP BY student_id HAVING student_id <= 3;
+      SELECT student_id, score FROM best ORDER BY student_id`,
+    shouldPass: true,
+    assert: statements => {
+      const last = statements[statements.length - 1];
+      const expected = [[1, 94], [2, 85], [3, 98]];
+      if (JSON.stringify(last.result?.rows) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(last.result?.rows ?? last.error?.message)}`);
+      }
+    },
+  },
+  {
+    name: 'A multi-row INSERT with one bad row inserts nothing',
+    script: `CREATE TABLE pets (pet_id INT PRIMARY KEY AUTO_INCREMENT, age INT);
+      INSERT INTO pets (age) VALUES (3), ('old'), (5)`,
+    shouldPass: true,
+    assert: (statements, tables) => {
+      if (!statements[1].error?.message.includes("must be of type number (row 2)") || tables.pets.length !== 0) {
+        throw new Error(`Expected the INSERT to fail on row 2, got ${JSON.stringify(statements[1].error?.message ?? statements[1].result)}`);
+      }
+    },
+  },
+  {
+    name: 'INSERT ... SELECT must return one column per listed column',
+    queries: [
+      'CREATE TABLE best (student_id INT PRIMARY KEY, score INT)',
+      'INSERT INTO best (student_id) SELECT student_id, score FROM grades',
+    ],
+    shouldPass: false,
+    expectedErrorSubstring: 'INSERT lists 1 column(s), but the SELECT returns 2',
+  },
+];
+
+export function runTests({ silent = false } = {}) {
+  if (!silent) {
+    console.log('🧪 Running SQL Engine Tests...\n');
+  }
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of testCases) {
+    const tables = clone(sampleData);
+    const schemaCopy = clone(schema);
+    let lastResult = null;
+
+    try {
+      // A test runs either separate queries or one script, whose entries are passed to assert
+      if (test.script) {
+        lastResult = executeScript({
+          queryText: test.script,
+          tables,
+          schema: schemaCopy,
+        });
+      }
+
+      for (const query of test.queries || []) {
         lastResult = executeQuery({
           queryText: query,
           tables,